@@ -1,5 +1,8 @@
+import { euro, escapeHtml, bucketLabel, bucketOrder } from "./format.js";
+
 const $ = (id) => document.getElementById(id);
 let catalog = [];
+let prices = {};   // byCard di prices.json (filtri grade:/price>)
 let sets = [];
 let langs = [];
 
@@ -21,37 +24,46 @@ function norm(s) {
   return t.replace(/\s+/g, " ").trim();
 }
 
-/* --------------------------- Stato URL (q/set/lang) --------------------------- */
+/* --------------------------- Stato URL (q/set/lang + filtri prezzo) ---------------------------
+   gli operatori (set:, grade:, price>, ...) restano dentro q: l'URL li conserva così come scritti
+   ogni chiave di stato = id del controllo in index.html = parametro URL
+   page non ha un controllo: vive in currentPage (1 = omesso dall'URL)
+------------------------------------------------------------------------------------------------ */
+const STATE_KEYS = ["q", "set", "lang", "sales", "bucket", "min", "max", "sort"];
+const PAGE_SIZE = 100;
+let currentPage = 1;
+
 function getStateFromUI() {
-  return {
-    q: $("q").value || "",
-    set: $("set").value || "",
-    lang: $("lang").value || ""
-  };
+  return { ...Object.fromEntries(STATE_KEYS.map(k => [k, $(k).value || ""])), page: currentPage };
 }
 function applyStateToUI(state) {
-  if (state.q != null) $("q").value = state.q;
-  if (state.set != null) $("set").value = state.set;
-  if (state.lang != null) $("lang").value = state.lang;
+  for (const k of STATE_KEYS) {
+    if (state[k] != null) $(k).value = state[k];
+  }
+  if (state.page) currentPage = state.page;
 }
 function readStateFromURL() {
   const p = new URLSearchParams(location.search);
-  return {
-    q: p.get("q") || "",
-    set: p.get("set") || "",
-    lang: p.get("lang") || ""
-  };
+  const page = parseInt(p.get("page"), 10);
+  return { ...Object.fromEntries(STATE_KEYS.map(k => [k, p.get(k) || ""])), page: page > 1 ? page : 1 };
 }
 function writeStateToURL(state) {
   const url = new URL(location.href);
-  if (state.q) url.searchParams.set("q", state.q);
-  else url.searchParams.delete("q");
-  if (state.set) url.searchParams.set("set", state.set);
-  else url.searchParams.delete("set");
-  if (state.lang) url.searchParams.set("lang", state.lang);
-  else url.searchParams.delete("lang");
+  for (const k of STATE_KEYS) {
+    if (state[k]) url.searchParams.set(k, state[k]);
+    else url.searchParams.delete(k);
+  }
+  if (state.page > 1) url.searchParams.set("page", state.page);
+  else url.searchParams.delete("page");
   history.replaceState(null, "", url.toString());
 }
+// stessa stato come query string (link verso card.html, che lo rimanda indietro)
+function stateQuery(state) {
+  const p = new URLSearchParams();
+  for (const k of STATE_KEYS) if (state[k]) p.set(k, state[k]);
+  if (state.page > 1) p.set("page", state.page);
+  return p.toString();
+}
 
 /* --------------------------- UI helpers --------------------------- */
 function buildOptions(select, items, allLabel) {
@@ -68,108 +80,407 @@ function buildOptions(select, items, allLabel) {
   }
 }
 
-/* --------------------------- Matching (PATCH short query exact match) --------------------------- */
-function matchesCardForQuery(card, qn, isShort) {
-  // Priorità: pokemonKey (già normalizzato lato catalogo)
-  if (card.pokemonKey) {
-    if (isShort) {
-      // match ESATTO: "mew" non prende "mewtwo"
-      if (card.pokemonKey === qn) return true;
-    } else {
-      if (card.pokemonKey.includes(qn)) return true;
+/* --------------------------- Ricerca a punteggio (token + fuzzy) ---------------------------
+   - query e campi carta divisi in token (norm)
+   - per ogni token della query: miglior match sui campi, peso campo × tipo match
+     (esatto 1, prefisso 0.7, fuzzy 0.5); nome > pokemonKey > set/numero > resto
+   - token corti (≤ 4 lettere) esatti se possibile: "mew" non prende "mewtwo",
+     "pika" (nessun token identico) passa ai prefissi
+   - fuzzy = distanza di edit ≤ 1 (5-7 lettere) o ≤ 2 (8+): "charzard" -> charizard
+   - una carta resta se copre tutti i token o almeno uno sul nome/specie
+     (es. "pikachu ex 10": i Pikachu ex, prima quelli col numero 10); "ex", "v", ... non bastano
+---------------------------------------------------------------------------------------------- */
+const FIELD_WEIGHT = { name: 10, pokemonKey: 8, set: 4, number: 4, meta: 2 };
+const KIND_FACTOR = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+const FULL_NAME_BONUS = 5;
+const MISS_PENALTY = 2;
+// troppo generici per contare come "nome trovato"
+const GENERIC_TOKENS = new Set(["ex", "gx", "v", "vmax", "vstar", "pokemon", "the", "of"]);
+
+let searchIndex = [];   // [{ card, fields: { name: [...], pokemonKey: [...], ... } }]
+let vocab = new Set();  // tutti i token dei campi (il fuzzy si calcola una volta per token)
+
+function tokenize(s) {
+  return norm(s).split(/[^\p{L}\p{N}/]+/u).filter(Boolean);
+}
+
+function numberKey(n) {
+  return norm(n).replace(/^0+(?=\d)/, "");
+}
+
+function buildSearchIndex(cards) {
+  vocab = new Set();
+  searchIndex = cards.map(card => {
+    const split = (...xs) => xs.flatMap(x => tokenize(x).flatMap(t => t.split("/"))).filter(Boolean);
+    const fields = {
+      name: split(card.name, card.nameEn, card.nameJa),
+      pokemonKey: split(card.pokemonKey),
+      set: split(card.setId),
+      // "181/165" intero + "181" senza zeri iniziali
+      number: [...new Set([norm(card.numberFull), numberKey(card.number), ...split(card.numberFull).map(numberKey)].filter(Boolean))],
+      meta: split(card.setName, card.rarity, card.lang, card.features?.join(" "))
+    };
+    for (const list of Object.values(fields)) for (const t of list) vocab.add(t);
+    return { card, fields, fullName: norm(card.nameEn || card.name), fullNameLocal: norm(card.name) };
+  });
+}
+
+// distanza di Levenshtein con uscita anticipata oltre max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
     }
+    if (rowMin > max) return max + 1;
+    prev = cur;
   }
+  return prev[b.length];
+}
 
-  // Fallback: nome visualizzato e nameEn
-  const nameN = norm(card.name || "");
-  const enN = norm(card.nameEn || "");
-  if (isShort) {
-    // parola intera con boundary semplice (spazi/punteggiatura)
-    const rx = new RegExp(`(^|[^a-z0-9])${qn}([^a-z0-9]|$)`, "i");
-    return rx.test(nameN) || rx.test(enN);
+// token query -> Map(token campo -> tipo match), calcolata sul vocabolario
+function matchesForToken(qt) {
+  const isNum = /\d/.test(qt);
+  const key = isNum ? numberKey(qt) : qt;
+  const short = qt.length <= 4 && !isNum;
+  const maxEdit = qt.length >= 8 ? 2 : qt.length >= 5 ? 1 : 0;
+
+  const collect = (prefix) => {
+    const out = new Map();
+    for (const t of vocab) {
+      if (t === qt || (isNum && t === key)) out.set(t, "exact");
+      else if (prefix && !isNum && t.startsWith(qt)) out.set(t, "prefix");
+      else if (maxEdit && !/\d/.test(t) && editDistance(qt, t, maxEdit) <= maxEdit) out.set(t, "fuzzy");
+    }
+    return out;
+  };
+
+  const out = collect(!short);
+  return short && !out.size ? collect(true) : out;
+}
+
+// ritorna { score, matched: Set(token campo) } oppure null se la carta non va mostrata
+function scoreCard(entry, qTokens, qMatches, qn) {
+  let score = 0;
+  let covered = 0;
+  let nameHit = false;
+  const matched = new Set();
+
+  qTokens.forEach((qt, i) => {
+    let best = 0, bestTok = null, bestField = null;
+    for (const [field, list] of Object.entries(entry.fields)) {
+      for (const t of list) {
+        const kind = qMatches[i].get(t);
+        if (!kind) continue;
+        const v = FIELD_WEIGHT[field] * KIND_FACTOR[kind];
+        if (v > best) { best = v; bestTok = t; bestField = field; }
+      }
+    }
+    if (!best) {
+      score -= MISS_PENALTY;
+      return;
+    }
+    score += best;
+    covered++;
+    matched.add(bestTok);
+    if (bestTok.includes("/")) for (const piece of bestTok.split("/")) matched.add(piece);
+    if ((bestField === "name" || bestField === "pokemonKey") && !GENERIC_TOKENS.has(qt)) nameHit = true;
+  });
+
+  if (covered < qTokens.length && !nameHit) return null;
+  if (qn === entry.fullName || qn === entry.fullNameLocal) score += FULL_NAME_BONUS;
+  return { score, matched };
+}
+
+function searchCards(entries, q) {
+  const qn = norm(q);
+  const qTokens = tokenize(q);
+  if (!qTokens.length) return entries.map(e => ({ card: e.card, score: 0, matched: new Set() }));
+
+  const qMatches = qTokens.map(matchesForToken);
+  const out = [];
+  for (const e of entries) {
+    const r = scoreCard(e, qTokens, qMatches, qn);
+    if (r) out.push({ card: e.card, ...r });
+  }
+  // sort stabile: a parità di punteggio resta l'ordine catalogo
+  return out.sort((a, b) => b.score - a.score);
+}
+
+/* --------------------------- Sintassi query (campo:valore) ---------------------------
+   set:sv2a  lang:ja  num:181  grade:10 | grade:9.5 | grade:raw | grade:psa10
+   price>50  price<=120  rarity:SAR  rarity:"special art rare"
+   - i valori passano da norm (jap -> ja, maiuscole, accenti)
+   - price senza grade: basta un bucket qualsiasi nel range; con grade: quel bucket
+   - campi sconosciuti restano testo libero
+----------------------------------------------------------------------------------------- */
+const QUERY_FIELDS = new Set(["set", "lang", "num", "grade", "price", "rarity"]);
+const QUERY_OP_RX = /(^|\s)([a-z]+)(>=|<=|:|>|<|=)("[^"]*"|\S+)/gi;
+
+function parseQuery(q) {
+  const filters = [];
+  const text = (q || "").replace(QUERY_OP_RX, (all, pre, field, op, raw) => {
+    const f = field.toLowerCase();
+    if (!QUERY_FIELDS.has(f)) return all;
+    const value = norm(raw.replace(/^"|"$/g, ""));
+    if (!value) return all;
+    filters.push({ field: f, op: op === "=" ? ":" : op, value });
+    return pre;
+  });
+  return { text: text.replace(/\s+/g, " ").trim(), filters };
+}
+
+// "10" -> graad_10, "9,5" -> graad_9_5, "psa10" -> psa_10, "raw" -> raw
+function gradeToBucket(v) {
+  if (v === "raw") return "raw";
+  const m = v.match(/^(graad|psa|cgc|bgs)?\s*(\d{1,2}(?:[.,]\d)?)$/);
+  if (!m) return null;
+  const g = Math.floor(Number(m[2].replace(",", ".")) * 2) / 2;
+  return `${m[1] || "graad"}_${String(g).replace(".", "_")}`;
+}
+
+function comparePrice(val, op, target) {
+  if (val == null) return false;
+  if (op === ">") return val > target;
+  if (op === ">=") return val >= target;
+  if (op === "<") return val < target;
+  if (op === "<=") return val <= target;
+  return val === target;
+}
+
+function passesFilters(card, filters) {
+  const p = prices[card.id] || {};
+  const gradeF = filters.find(f => f.field === "grade");
+  const bucket = gradeF ? gradeToBucket(gradeF.value) : null;
+
+  for (const { field, op, value } of filters) {
+    if (field === "set" && norm(card.setId) !== value) return false;
+    if (field === "lang" && card.lang !== value) return false;
+    if (field === "rarity" && norm(card.rarity) !== value && !(card.features || []).some(x => norm(x) === value)) return false;
+    if (field === "num") {
+      const nums = [norm(card.number), norm(card.numberFull), numberKey(card.number)];
+      if (!nums.includes(value) && !nums.includes(numberKey(value))) return false;
+    }
+    if (field === "grade" && !p[bucket]?.n) return false;
+    if (field === "price") {
+      const target = Number(value.replace(",", "."));
+      if (!Number.isFinite(target)) continue;
+      const medians = bucket ? [p[bucket]?.median_eur] : Object.values(p).map(v => v?.median_eur);
+      if (!medians.some(v => comparePrice(v, op, target))) return false;
+    }
   }
-  return nameN.includes(qn) || enN.includes(qn);
+  return true;
+}
+
+/* --------------------------- Prezzi nella griglia ---------------------------
+   - sales: "1" = solo carte con almeno una vendita (nel bucket scelto, se c'è)
+   - bucket + min/max: mediana del bucket; senza bucket basta un bucket qualsiasi nel range
+   - sort: "" = rilevanza (default, fuori dall'URL) | price_desc | price_asc | sales | number
+     prezzo = mediana del bucket scelto, altrimenti la più alta tra i bucket
+------------------------------------------------------------------------------------ */
+function salesCount(p, bucket) {
+  if (bucket) return p?.[bucket]?.n || 0;
+  return Object.values(p || {}).reduce((acc, v) => acc + (v?.n || 0), 0);
+}
+
+function keyPrice(p, bucket) {
+  if (bucket) return p?.[bucket]?.median_eur ?? null;
+  const vals = Object.values(p || {}).map(v => v?.median_eur).filter(v => v != null);
+  return vals.length ? Math.max(...vals) : null;
+}
+
+function passesPriceFilters(card, state) {
+  const p = prices[card.id];
+  if (state.sales && !salesCount(p, state.bucket)) return false;
+  if (state.bucket && !p?.[state.bucket]?.n) return false;
+
+  const min = state.min === "" ? null : Number(state.min);
+  const max = state.max === "" ? null : Number(state.max);
+  if (min == null && max == null) return true;
+
+  const medians = state.bucket ? [p?.[state.bucket]?.median_eur] : Object.values(p || {}).map(v => v?.median_eur);
+  return medians.some(v => v != null && (min == null || v >= min) && (max == null || v <= max));
+}
+
+// numero in ordine naturale dentro il set (promo/alfanumerici dopo)
+function compareNumber(a, b) {
+  const bySet = (a.setId || "").localeCompare(b.setId || "");
+  if (bySet) return bySet;
+  return (a.number || "").localeCompare(b.number || "", undefined, { numeric: true });
+}
+
+function sortResults(res, state) {
+  const { sort, bucket } = state;
+  if (!sort || sort === "relevance") return res;
+
+  // prezzo mancante sempre in fondo
+  const byPrice = (dir) => (a, b) => {
+    const va = keyPrice(prices[a.card.id], bucket), vb = keyPrice(prices[b.card.id], bucket);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return dir * (va - vb);
+  };
+  const cmp = {
+    price_desc: byPrice(-1),
+    price_asc: byPrice(1),
+    sales: (a, b) => salesCount(prices[b.card.id], bucket) - salesCount(prices[a.card.id], bucket),
+    number: (a, b) => compareNumber(a.card, b.card)
+  }[sort];
+  return cmp ? [...res].sort(cmp) : res;
+}
+
+// mediane in riga: RAW, GRAAD 10 e il bucket scelto (se diverso)
+function pricesLine(p, bucket) {
+  const keys = ["raw", "graad_10"];
+  if (bucket && !keys.includes(bucket)) keys.push(bucket);
+  const parts = keys
+    .filter(k => p?.[k]?.n)
+    .map(k => `${bucketLabel(k)} <b>${euro(p[k].median_eur, { whole: true })}</b> <span class="small">(${p[k].n})</span>`);
+  return parts.length ? parts.join(" • ") : `<span class="small">nessuna vendita</span>`;
+}
+
+function bucketOptions() {
+  const keys = new Set();
+  for (const p of Object.values(prices)) for (const k of Object.keys(p || {})) keys.add(k);
+  return [...keys]
+    .sort(bucketOrder)
+    .map(value => ({ value, label: bucketLabel(value) }));
+}
+
+/* --------------------------- Evidenziazione --------------------------- */
+// avvolge in <mark> le parole del testo il cui token è tra quelli trovati
+function highlight(text, matched) {
+  const parts = (text ?? "").toString().split(/([^\p{L}\p{N}]+)/u);
+  return parts.map(w => {
+    if (!w || !matched?.size) return escapeHtml(w);
+    const t = norm(w);
+    return matched.has(t) || matched.has(numberKey(t)) ? `<mark>${escapeHtml(w)}</mark>` : escapeHtml(w);
+  }).join("");
 }
 
 /* --------------------------- Filtri + rendering --------------------------- */
-function applyFilters({ writeURL = true } = {}) {
-  const state = getStateFromUI();
+// resetPage: un filtro cambiato riparte dalla prima pagina; il pager e l'init no
+function applyFilters({ writeURL = true, resetPage = false } = {}) {
+  if (resetPage) currentPage = 1;
+
+  const ui = getStateFromUI();
+  const set = ui.set;
+  const lang = ui.lang;
+
+  let entries = searchIndex;
+  if (set) entries = entries.filter(e => e.card.setId === set);
+  if (lang) entries = entries.filter(e => e.card.lang === lang);
+
+  const { text, filters } = parseQuery(ui.q);
+  if (filters.length) entries = entries.filter(e => passesFilters(e.card, filters));
+  entries = entries.filter(e => passesPriceFilters(e.card, ui));
+
+  const res = sortResults(searchCards(entries, text), ui);
+
+  // pagina fuori range (es. URL vecchio dopo un aggiornamento del catalogo): ultima valida
+  const pages = Math.max(1, Math.ceil(res.length / PAGE_SIZE));
+  currentPage = Math.min(Math.max(1, currentPage), pages);
+  const state = { ...ui, page: currentPage };
   if (writeURL) writeStateToURL(state);
 
-  const qn = norm(state.q);
-  const set = state.set;
-  const lang = state.lang;
-
-  let res = catalog;
-  if (set) res = res.filter(c => c.setId === set);
-  if (lang) res = res.filter(c => c.lang === lang);
-
-  if (qn) {
-    // “short query”: 1 token, 1–4 char, solo lettere (evita numeri/codici)
-    const isSingleToken = !qn.includes(" ");
-    const isShort = isSingleToken && qn.length > 0 && qn.length <= 4 && !/[0-9]/.test(qn);
-
-    if (isShort) {
-      res = res.filter(c => matchesCardForQuery(c, qn, true));
-    } else {
-      // fallback: comportamento precedente (include anche set/numero/rarity ecc.)
-      // + include pokemonKey nell'haystack (utile per JP con nameEn mappato)
-      res = res.filter(c => {
-        const hay = norm([
-          c.pokemonKey,
-          c.name,
-          c.nameEn,
-          c.nameJa,
-          c.setId,
-          c.setName,
-          c.numberFull,
-          c.number,
-          c.lang,
-          c.rarity,
-          c.features?.join(" ")
-        ].join(" "));
-        return hay.includes(qn);
-      });
-    }
+  const active = filters.map(f => `${f.field}${f.op}${f.value}`).join(" ");
+  const pageInfo = pages > 1 ? ` • pagina ${currentPage} di ${pages}` : "";
+  $("stats").textContent = `Risultati: ${res.length} carte${pageInfo}${active ? ` • filtri: ${active}` : ""}`;
+
+  const from = (currentPage - 1) * PAGE_SIZE;
+  render(res.slice(from, from + PAGE_SIZE), state);
+  renderPager($("pager"), pages);
+}
+
+function goToPage(n) {
+  currentPage = n;
+  applyFilters({ writeURL: true });
+  $("stats").scrollIntoView({ block: "start" });
+}
+
+// « ‹ 1 … 4 5 [6] 7 8 … 40 › »: prima, ultima e due pagine attorno a quella corrente
+function renderPager(root, pages) {
+  if (pages <= 1) {
+    root.innerHTML = "";
+    return;
   }
 
-  $("stats").textContent = `Risultati: ${res.length} carte`;
-  render(res.slice(0, 200), state);
+  const nums = new Set([1, pages]);
+  for (let i = currentPage - 2; i <= currentPage + 2; i++) if (i >= 1 && i <= pages) nums.add(i);
+  const sorted = [...nums].sort((a, b) => a - b);
+
+  const btn = (label, page, { disabled = false, current = false } = {}) =>
+    `<button type="button" data-page="${page}"${disabled ? " disabled" : ""}${current ? ` class="current" aria-current="page"` : ""}>${label}</button>`;
+
+  const parts = [btn("‹", currentPage - 1, { disabled: currentPage === 1 })];
+  sorted.forEach((n, i) => {
+    if (i && n - sorted[i - 1] > 1) parts.push(`<span class="small">…</span>`);
+    parts.push(btn(n, n, { current: n === currentPage }));
+  });
+  parts.push(btn("›", currentPage + 1, { disabled: currentPage === pages }));
+
+  root.innerHTML = parts.join("");
+  for (const b of root.querySelectorAll("button[data-page]")) {
+    b.addEventListener("click", () => goToPage(Number(b.dataset.page)));
+  }
 }
 
-function render(cards, state) {
+function render(results, state) {
   const root = $("results");
   root.innerHTML = "";
-  const q = encodeURIComponent(state.q || "");
-  const set = encodeURIComponent(state.set || "");
-  const lang = encodeURIComponent(state.lang || "");
-  for (const c of cards) {
+  // un solo reflow per pagina
+  const frag = document.createDocumentFragment();
+  const back = stateQuery(state);
+  for (const { card: c, matched } of results) {
     const div = document.createElement("div");
     div.className = "card";
     const a = document.createElement("a");
-    a.href = `card.html?id=${encodeURIComponent(c.id)}&q=${q}&set=${set}&lang=${lang}`;
+    a.href = `card.html?id=${encodeURIComponent(c.id)}${back ? `&${back}` : ""}`;
 
     // Riga “compatta” coerente: setId + numberFull
     const lineSet = c.setId || (c.setName || "");
     const lineNum = c.numberFull || c.number || "";
 
-    a.innerHTML = `
-${c.name}
+    a.className = "tile";
+
+    // miniatura lazy (imageSmall dall'indice); senza immagine o se non carica: segnaposto
+    const thumb = c.imageSmall
+      ? `<img class="grid-thumb" src="${escapeHtml(c.imageSmall)}" alt="" loading="lazy" decoding="async">`
+      : `<div class="grid-thumb placeholder"></div>`;
+
+    a.innerHTML = `<div class="tile-thumb">${thumb}</div><div class="tile-body">
+${highlight(c.name, matched)}
 
-${lineSet}${lineNum ? " — " + lineNum : ""} — ${c.lang?.toUpperCase() || ""}
+${highlight(lineSet, matched)}${lineNum ? " — " + highlight(lineNum, matched) : ""} — ${escapeHtml(c.lang?.toUpperCase() || "")}
 
-${c.rarity || ""} ${c.features?.length ? "• " + c.features.join(", ") : ""}
-`;
+${highlight(c.rarity || "", matched)} ${c.features?.length ? "• " + escapeHtml(c.features.join(", ")) : ""}
+
+<div class="small">${pricesLine(prices[c.id], state.bucket)}</div>
+</div>`;
+    a.querySelector("img")?.addEventListener("error", (e) => {
+      e.target.replaceWith(Object.assign(document.createElement("div"), { className: "grid-thumb placeholder" }));
+    }, { once: true });
     div.appendChild(a);
-    root.appendChild(div);
+    frag.appendChild(div);
   }
+  root.appendChild(frag);
 }
 
 /* --------------------------- Init --------------------------- */
 async function init() {
-  const r = await fetch("data/catalog.json", { cache: "no-store" });
-  const j = await r.json();
-  catalog = j.cards || [];
+  const [r, priceR] = await Promise.all([
+    fetch("data/catalog_index.json", { cache: "no-cache" }),
+    fetch("data/prices.json", { cache: "no-store" }).catch(() => null)
+  ]);
+  // indice compatto (vedi scripts/lib/shards.js): il nome set sta in j.sets
+  const j = r.ok ? await r.json() : await (await fetch("data/catalog.json", { cache: "no-store" })).json();
+  catalog = (j.cards || []).map(c => (c.setName || !j.sets ? c : { ...c, setName: j.sets[c.setId]?.name }));
+  // prezzi opzionali: senza, grade:/price> non trovano nulla ma la ricerca funziona
+  prices = priceR?.ok ? (await priceR.json()).byCard || {} : {};
+  buildSearchIndex(catalog);
 
   // sets/langs per dropdown
   const setMap = new Map();
@@ -187,14 +498,18 @@ async function init() {
 
   buildOptions($("set"), sets, "Tutte le espansioni");
   buildOptions($("lang"), langs, "Tutte le lingue");
+  buildOptions($("bucket"), bucketOptions(), "Qualsiasi bucket");
 
   // Ripristina stato dall’URL (se arrivi da card.html o da refresh)
   const urlState = readStateFromURL();
   applyStateToUI(urlState);
 
-  $("q").addEventListener("input", () => applyFilters({ writeURL: true }));
-  $("set").addEventListener("change", () => applyFilters({ writeURL: true }));
-  $("lang").addEventListener("change", () => applyFilters({ writeURL: true }));
+  $("q").addEventListener("input", () => applyFilters({ writeURL: true, resetPage: true }));
+  $("min").addEventListener("input", () => applyFilters({ writeURL: true, resetPage: true }));
+  $("max").addEventListener("input", () => applyFilters({ writeURL: true, resetPage: true }));
+  for (const id of ["set", "lang", "sales", "bucket", "sort"]) {
+    $(id).addEventListener("change", () => applyFilters({ writeURL: true, resetPage: true }));
+  }
 
   $("stats").textContent = `Catalogo caricato: ${catalog.length} carte`;
   applyFilters({ writeURL: true });
@@ -1,36 +1,348 @@
+import { loadCollection, addItem, removeItem } from "./collection.js";
+import { shardFileName } from "./shards.js";
+import { euro, escapeHtml, parseBucket, bucketLabel } from "./format.js";
+
 function getParam(name) {
   return new URLSearchParams(location.search).get(name);
 }
 
-function euro(n) {
-  if (n == null || Number.isNaN(n)) return "—";
-  return new Intl.NumberFormat("it-IT", { style: "currency", currency: "EUR" }).format(n);
+// bucket sempre mostrati nei riquadri prezzo; gli altri voti (graad_6, graad_8_5, ...) solo se hanno vendite
+const BUCKETS = [
+  ["RAW", "raw"],
+  ["GRAAD 7", "graad_7"],
+  ["GRAAD 8", "graad_8"],
+  ["GRAAD 9", "graad_9"],
+  ["GRAAD 9.5", "graad_9_5"],
+  ["GRAAD 10", "graad_10"]
+];
+
+// altri grader: solo confronto con GRAAD allo stesso voto
+const OTHER_GRADERS = [["PSA", "psa"], ["CGC", "cgc"], ["BGS", "bgs"]];
+
+// RAW + GRAAD in ordine di voto (fissi + quelli presenti in keys)
+function graadBuckets(keys) {
+  const extra = [...keys].filter(k => parseBucket(k).grader === "graad" && parseBucket(k).grade != null && !BUCKETS.some(([, key]) => key === k));
+  return [...BUCKETS.map(([, key]) => key), ...extra]
+    .sort((a, b) => (parseBucket(a).grade ?? -1) - (parseBucket(b).grade ?? -1))
+    .map(key => [bucketLabel(key), key]);
+}
+
+/* --------------------------- Grafico storico (SVG inline) --------------------------- */
+function lineChartSVG(series, { width = 320, height = 120, pad = 24 } = {}) {
+  const pts = series.filter(x => typeof x.median_eur === "number");
+  if (!pts.length) return "";
+
+  const times = pts.map(x => new Date(x.date).getTime());
+  const vals = pts.map(x => x.median_eur);
+  const tMin = Math.min(...times), tMax = Math.max(...times);
+  const vMin = Math.min(...vals), vMax = Math.max(...vals);
+
+  // un solo punto / valore costante: evita divisioni per zero
+  const tSpan = tMax - tMin || 1;
+  const vSpan = vMax - vMin || 1;
+
+  const x = (t) => pad + ((t - tMin) / tSpan) * (width - pad * 2);
+  const y = (v) => height - pad - ((v - vMin) / vSpan) * (height - pad * 2);
+
+  const coords = pts.map((p, i) => [x(times[i]), y(vals[i])]);
+  const path = coords.map(([cx, cy], i) => `${i ? "L" : "M"}${cx.toFixed(1)},${cy.toFixed(1)}`).join(" ");
+  const dots = coords
+    .map(([cx, cy], i) => `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="2.5"><title>${pts[i].date}: ${euro(vals[i])} (n=${pts[i].n})</title></circle>`)
+    .join("");
+
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">
+      <line class="axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" />
+      <path d="${path}" />
+      ${dots}
+      <text x="${pad}" y="${pad - 8}">${euro(vMax)}</text>
+      <text x="${pad}" y="${height - 6}">${pts[0].date}</text>
+      <text x="${width - pad}" y="${height - 6}" text-anchor="end">${pts[pts.length - 1].date}</text>
+    </svg>`;
+}
+
+function renderHistory(root, hist) {
+  root.innerHTML = "";
+  let shown = 0;
+
+  for (const [label, key] of graadBuckets(Object.keys(hist || {}))) {
+    const series = hist?.[key] || [];
+    if (!series.length) continue;
+
+    const box = document.createElement("div");
+    box.className = "pricebox";
+    box.innerHTML =
+      `<div class="small">${label} — ${series.length} ${series.length === 1 ? "giorno" : "giorni"}</div>` +
+      lineChartSVG(series);
+    root.appendChild(box);
+    shown++;
+  }
+
+  if (!shown) root.innerHTML = `<div class="small">Storico prezzi non ancora disponibile</div>`;
+}
+
+/* --------------------------- Tabella vendite (ordinabile) --------------------------- */
+const SALE_COLUMNS = [
+  ["Data", "date"],
+  ["Prezzo", "price_eur"],
+  ["Fonte", "source"],
+  ["Titolo", "title"]
+];
+
+function compareSales(a, b, key, dir) {
+  const va = a[key], vb = b[key];
+  const r = typeof va === "number" && typeof vb === "number"
+    ? va - vb
+    : (va ?? "").toString().localeCompare((vb ?? "").toString());
+  return dir === "asc" ? r : -r;
+}
+
+function renderSalesTable(box, rows, sort) {
+  const sorted = [...rows].sort((a, b) => compareSales(a, b, sort.key, sort.dir));
+  const arrow = (key) => (sort.key === key ? (sort.dir === "asc" ? " ▲" : " ▼") : "");
+
+  box.innerHTML = `
+    <table class="sales">
+      <thead><tr>${SALE_COLUMNS.map(([label, key]) => `<th data-key="${key}">${label}${arrow(key)}</th>`).join("")}</tr></thead>
+      <tbody>${sorted.map(s => `
+        <tr${s.likelyRelist ? ` class="muted"` : ""}>
+          <td class="mono"${s.soldAt ? "" : ` title="data di raccolta (data di vendita non disponibile)"`}>${escapeHtml(s.date)}${s.soldAt ? "" : "*"}</td>
+          <td class="mono">${euro(s.price_eur)}${s.currency && s.currency !== "EUR" ? `<div class="small">${escapeHtml(s.price_original)} ${escapeHtml(s.currency)}</div>` : ""}</td>
+          <td class="mono">${escapeHtml(s.source || "ebay.it")}</td>
+          <td>${s.url ? `<a href="${escapeHtml(s.url)}" target="_blank" rel="noopener">${escapeHtml(s.title)}</a>` : escapeHtml(s.title)}${s.likelyRelist ? ` <span class="badge" title="stesso annuncio rimesso in vendita: esclusa dalla mediana">relist</span>` : ""}${s.cert ? ` <a class="badge mono" href="slab.html?cert=${encodeURIComponent(s.cert)}" title="storico di questa slab">cert ${escapeHtml(s.cert)}</a>` : ""}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+
+  // click sull'intestazione: stessa colonna inverte, colonna nuova parte discendente
+  for (const th of box.querySelectorAll("th[data-key]")) {
+    th.addEventListener("click", () => {
+      const key = th.dataset.key;
+      const dir = sort.key === key && sort.dir === "desc" ? "asc" : "desc";
+      renderSalesTable(box, rows, { key, dir });
+    });
+  }
+}
+
+function renderSales(root, sales) {
+  root.innerHTML = "";
+  let shown = 0;
+
+  const keys = new Set(sales.map(s => s.bucket));
+  const others = [...keys].filter(k => OTHER_GRADERS.some(([, g]) => parseBucket(k).grader === g) && parseBucket(k).grade != null).sort();
+  for (const [label, key] of [...graadBuckets(keys), ...others.map(k => [bucketLabel(k), k])]) {
+    // data di vendita reale se nota, altrimenti data di raccolta
+    const rows = sales
+      .filter(s => s.bucket === key)
+      .map(s => ({ ...s, date: s.soldAt || (s.collectedAt || "").slice(0, 10) }));
+    if (!rows.length) continue;
+
+    const title = document.createElement("div");
+    title.className = "small";
+    title.textContent = `${label} — ${rows.length} ${rows.length === 1 ? "vendita" : "vendite"}`;
+    root.appendChild(title);
+
+    const box = document.createElement("div");
+    renderSalesTable(box, rows, { key: "date", dir: "desc" });
+    root.appendChild(box);
+    shown++;
+  }
+
+  if (!shown) root.innerHTML = `<div class="small">Nessuna vendita registrata negli ultimi 30 giorni</div>`;
+}
+
+/* --------------------------- Prezzi per fonte --------------------------- */
+function renderBySource(root, p) {
+  const buckets = graadBuckets(Object.keys(p));
+  const sources = new Set();
+  for (const [, key] of buckets) {
+    for (const src of Object.keys(p[key]?.by_source || {})) sources.add(src);
+  }
+
+  if (!sources.size) {
+    root.innerHTML = `<div class="small">Nessuna vendita registrata negli ultimi 30 giorni</div>`;
+    return;
+  }
+
+  // solo i bucket che hanno almeno una vendita
+  const cols = buckets.filter(([, key]) => p[key]?.n);
+  const cell = (src, key) => {
+    const v = p[key]?.by_source?.[src];
+    return v ? `${euro(v.median_eur)} <span class="small">(${v.n})</span>` : `<span class="small">—</span>`;
+  };
+
+  root.innerHTML = `
+    <table class="sales">
+      <thead><tr><th>Fonte</th>${cols.map(([label]) => `<th>${label}</th>`).join("")}</tr></thead>
+      <tbody>${[...sources].sort().map(src => `
+        <tr><td class="mono">${escapeHtml(src)}</td>${cols.map(([, key]) => `<td class="mono">${cell(src, key)}</td>`).join("")}</tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+/* --------------------------- Confronto GRAAD vs altri grader --------------------------- */
+function renderCompare(root, p) {
+  // voti per cui almeno un altro grader ha vendite
+  const grades = new Set();
+  const graders = new Set();
+  for (const [key, v] of Object.entries(p)) {
+    const { grader, grade } = parseBucket(key);
+    if (!grader || grade == null || grader === "graad" || !v?.n) continue;
+    grades.add(grade);
+    graders.add(grader);
+  }
+
+  if (!grades.size) {
+    root.innerHTML = `<div class="small">Nessuna vendita PSA/CGC/BGS negli ultimi 30 giorni</div>`;
+    return;
+  }
+
+  const cols = OTHER_GRADERS.filter(([, g]) => graders.has(g));
+  const cell = (g, grade) => {
+    const v = p[`${g}_${String(grade).replace(".", "_")}`];
+    return v?.n ? `${euro(v.median_eur)} <span class="small">(${v.n})</span>` : `<span class="small">—</span>`;
+  };
+  // differenza GRAAD rispetto all'altro grader allo stesso voto
+  const diff = (g, grade) => {
+    const k = String(grade).replace(".", "_");
+    const a = p[`graad_${k}`]?.median_eur, b = p[`${g}_${k}`]?.median_eur;
+    if (a == null || b == null || !b) return "";
+    const pct = Math.round(((a - b) / b) * 100);
+    return `<div class="small">GRAAD ${pct > 0 ? "+" : ""}${pct}%</div>`;
+  };
+
+  root.innerHTML = `
+    <table class="sales">
+      <thead><tr><th>Voto</th><th>GRAAD</th>${cols.map(([label]) => `<th>${label}</th>`).join("")}</tr></thead>
+      <tbody>${[...grades].sort((a, b) => b - a).map(grade => `
+        <tr><td class="mono">${grade}</td><td class="mono">${cell("graad", grade)}</td>${cols.map(([, g]) => `<td class="mono">${cell(g, grade)}${diff(g, grade)}</td>`).join("")}</tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+/* --------------------------- La mia collezione (localStorage, vedi collection.js) --------------------------- */
+function renderCollection(root, c, p) {
+  const mine = loadCollection().filter(x => x.cardId === c.id);
+  if (!mine.length) {
+    root.innerHTML = `<div class="small">Questa carta non è nella tua collezione</div>`;
+    return;
+  }
+
+  root.innerHTML = `
+    <table class="sales">
+      <thead><tr><th>Bucket</th><th>Qtà</th><th>Acquisto</th><th>Valore attuale</th><th>Aggiunta</th><th></th></tr></thead>
+      <tbody>${mine.map(x => {
+        const med = p[x.bucket]?.median_eur ?? null;
+        return `
+        <tr>
+          <td class="mono">${escapeHtml(bucketLabel(x.bucket))}</td>
+          <td class="mono">${x.qty}</td>
+          <td class="mono">${euro(x.purchase_eur)}</td>
+          <td class="mono">${med != null ? euro(med * x.qty) : `<span class="small">nessuna vendita</span>`}</td>
+          <td class="mono">${escapeHtml(x.addedAt)}</td>
+          <td><button type="button" data-remove="${escapeHtml(x.key)}">Rimuovi</button></td>
+        </tr>`;
+      }).join("")}
+      </tbody>
+    </table>`;
+
+  for (const b of root.querySelectorAll("button[data-remove]")) {
+    b.addEventListener("click", () => {
+      removeItem(b.dataset.remove);
+      renderCollection(root, c, p);
+    });
+  }
+}
+
+function setupCollection(c, p) {
+  const root = document.getElementById("collection");
+  const select = document.getElementById("col-bucket");
+  if (!root || !select) return;
+
+  // RAW + scala GRAAD completa (10 -> 1); altri bucket con prezzi per questa carta in coda
+  const keys = ["raw"];
+  for (let g = 10; g >= 1; g -= 0.5) keys.push(`graad_${String(g).replace(".", "_")}`);
+  for (const k of Object.keys(p)) if (!keys.includes(k)) keys.push(k);
+  select.innerHTML = keys.map(k => `<option value="${k}">${escapeHtml(bucketLabel(k))}</option>`).join("");
+  select.value = "graad_10";
+
+  document.getElementById("col-add").addEventListener("click", () => {
+    const item = addItem({
+      cardId: c.id,
+      name: c.name,
+      setId: c.setId,
+      number: c.numberFull || c.number,
+      bucket: select.value,
+      qty: document.getElementById("col-qty").value,
+      purchase_eur: document.getElementById("col-price").value
+    });
+    if (!item) return;
+    document.getElementById("col-price").value = "";
+    renderCollection(root, c, p);
+  });
+
+  renderCollection(root, c, p);
+}
+
+/* --------------------------- Carta dallo shard del suo set --------------------------- */
+async function fetchShard(setId) {
+  const r = await fetch(`data/sets/${encodeURIComponent(shardFileName(setId))}`, { cache: "no-cache" }).catch(() => null);
+  return r?.ok ? r.json() : null;
+}
+
+// id = "<setId>-<numero>-<nome>-<lingua>": prima lo shard del prefisso,
+// se la carta non c'è (setId con "-") si risale al set dall'indice;
+// senza shard (primo deploy, shard non ancora scritti) si usa catalog.json come app.js
+async function loadCard(id) {
+  const guess = await fetchShard(id.split("-")[0]);
+  const hit = guess?.cards?.find(x => x.id === id);
+  if (hit) return hit;
+
+  const r = await fetch("data/catalog_index.json", { cache: "no-cache" }).catch(() => null);
+  const idx = r?.ok ? await r.json() : { cards: [] };
+  const setId = idx.cards?.find(x => x.id === id)?.setId;
+  const shard = setId ? await fetchShard(setId) : null;
+  const found = shard?.cards?.find(x => x.id === id);
+  if (found) return found;
+
+  const full = await fetch("data/catalog.json", { cache: "no-store" }).catch(() => null);
+  const catalog = full?.ok ? await full.json() : { cards: [] };
+  return (catalog.cards || []).find(x => x.id === id) || null;
+}
+
+// storico del solo set della carta; prices_history.json completo solo se lo shard non c'è ancora
+async function loadHistory(setId) {
+  const r = await fetch(`data/history/${encodeURIComponent(shardFileName(setId))}`, { cache: "no-store" }).catch(() => null);
+  if (r?.ok) return r.json();
+  const full = await fetch("data/prices_history.json", { cache: "no-store" }).catch(() => null);
+  return full?.ok ? full.json() : { byCard: {} };
 }
 
 async function init() {
   const id = getParam("id");
   if (!id) return;
 
-  // Ricostruisce il link "indietro" preservando ricerca e filtri
-  const q = getParam("q") || "";
-  const set = getParam("set") || "";
-  const lang = getParam("lang") || "";
+  // Ricostruisce il link "indietro" preservando ricerca e filtri (tutto tranne id)
+  const state = new URLSearchParams(location.search);
+  state.delete("id");
   const back = document.getElementById("back");
   if (back) {
-    back.href = `index.html?q=${encodeURIComponent(q)}&set=${encodeURIComponent(set)}&lang=${encodeURIComponent(lang)}`;
+    back.href = `index.html${state.toString() ? `?${state}` : ""}`;
   }
 
-  const [catR, priceR, metaR] = await Promise.all([
-    fetch("data/catalog.json", { cache: "no-store" }),
+  const [c, priceR, metaR, salesR] = await Promise.all([
+    loadCard(id),
     fetch("data/prices.json", { cache: "no-store" }),
-    fetch("data/meta.json", { cache: "no-store" })
+    fetch("data/meta.json", { cache: "no-store" }),
+    fetch("data/sales_30d.json", { cache: "no-store" }).catch(() => null)
   ]);
 
-  const catalog = await catR.json();
   const prices = await priceR.json();
   const meta = await metaR.json();
+  // lo storico è opzionale: se manca la pagina funziona comunque
+  const history = c ? await loadHistory(c.setId) : { byCard: {} };
+  const salesObj = salesR?.ok ? await salesR.json() : { sales: [] };
 
-  const c = (catalog.cards || []).find(x => x.id === id);
   if (!c) {
     document.getElementById("title").innerHTML = "<h2>Carta non trovata</h2>";
     return;
@@ -40,7 +352,7 @@ async function init() {
 
   document.getElementById("title").innerHTML = `
     <h2>${c.name}</h2>
-    <div class="small">${c.setName || c.setId} — ${c.numberFull || c.number || ""} — ${c.lang?.toUpperCase() || ""}</div>
+    <div class="small"><a href="set.html?set=${encodeURIComponent(c.setId)}" title="tutte le carte dell'espansione">${c.setName || c.setId}</a> — ${c.numberFull || c.number || ""} — ${c.lang?.toUpperCase() || ""}</div>
   `;
 
   document.getElementById("meta").innerHTML = `
@@ -56,30 +368,43 @@ async function init() {
   }
 
   const p = (prices.byCard && prices.byCard[id]) ? prices.byCard[id] : {};
-  const buckets = [
-    ["RAW", "raw"],
-    ["GRAAD 7", "graad_7"],
-    ["GRAAD 8", "graad_8"],
-    ["GRAAD 9", "graad_9"],
-    ["GRAAD 9.5", "graad_9_5"],
-    ["GRAAD 10", "graad_10"]
-  ];
 
   const root = document.getElementById("prices");
   root.innerHTML = "";
 
-  for (const [label, key] of buckets) {
+  for (const [label, key] of graadBuckets(Object.keys(p).filter(k => p[k]?.n))) {
     const box = document.createElement("div");
     box.className = "pricebox";
     const val = p[key]?.median_eur ?? null;
     const n = p[key]?.n ?? 0;
+    const lo = p[key]?.p25_eur ?? p[key]?.min_eur ?? null;
+    const hi = p[key]?.p75_eur ?? p[key]?.max_eur ?? null;
+    const removed = p[key]?.outliers_removed ?? 0;
+    const range = n > 1 && lo != null && hi != null
+      ? `<div class="small" title="min ${euro(p[key]?.min_eur)} • max ${euro(p[key]?.max_eur)} • media ${euro(p[key]?.mean_eur)}">range 25–75%: ${euro(lo)} – ${euro(hi)}</div>`
+      : "";
     box.innerHTML =
       `<div class="small">${label}</div>` +
       `<div style="font-size:22px; font-weight:700;">${euro(val)}</div>` +
-      `<div class="small">vendite: ${n}</div>`;
+      range +
+      `<div class="small">vendite: ${n}${removed ? ` • outlier esclusi: ${removed}` : ""}</div>`;
     root.appendChild(box);
   }
 
+  const sourceRoot = document.getElementById("bysource");
+  if (sourceRoot) renderBySource(sourceRoot, p);
+
+  const compareRoot = document.getElementById("compare");
+  if (compareRoot) renderCompare(compareRoot, p);
+
+  const histRoot = document.getElementById("history");
+  if (histRoot) renderHistory(histRoot, history.byCard?.[id]);
+
+  setupCollection(c, p);
+
+  const salesRoot = document.getElementById("sales");
+  if (salesRoot) renderSales(salesRoot, (salesObj.sales || []).filter(s => s.cardId === id));
+
   document.getElementById("updated").textContent =
     `Ultimo aggiornamento: ${meta.updatedAt || "—"} • Finestra: ultimi 30 giorni`;
 }
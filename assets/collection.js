@@ -0,0 +1,130 @@
+/* --------------------------- Collezione personale (localStorage) ---------------------------
+   usata da card.js (aggiunta) e portfolio.js (valutazione, CSV)
+   item: { key, cardId, name, setId, number, bucket, qty, purchase_eur (per pezzo), addedAt }
+   niente server: i dati restano nel browser, il CSV serve per backup/spostarli
+------------------------------------------------------------------------------------------------ */
+const STORAGE_KEY = "pgc.collection.v1";
+
+export const CSV_COLUMNS = ["key", "cardId", "name", "setId", "number", "bucket", "qty", "purchase_eur", "addedAt"];
+
+export function loadCollection() {
+  try {
+    const j = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return Array.isArray(j.items) ? j.items : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCollection(items) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ items }));
+}
+
+function newKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// "12.5", "12,50", "1.234,50" (Excel in italiano), "1,234.50" -> numero; NaN se illeggibile
+export function parsePrice(v) {
+  let s = String(v).trim().replace(/\s|€/g, "");
+  if (s.includes(",") && s.includes(".")) {
+    // il separatore che viene per ultimo è quello dei decimali
+    s = s.lastIndexOf(",") > s.lastIndexOf(".") ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(s)) {
+    s = s.replace(/\./g, "");
+  } else {
+    s = s.replace(",", ".");
+  }
+  return /^\d+(\.\d+)?$/.test(s) ? Number(s) : NaN;
+}
+
+// normalizza un item (da form o da CSV); null se manca l'essenziale o il prezzo è illeggibile
+export function makeItem(raw) {
+  const qty = Math.floor(Number(raw.qty));
+  const price = raw.purchase_eur === "" || raw.purchase_eur == null ? null : parsePrice(raw.purchase_eur);
+  if (!raw.cardId || !raw.bucket || !(qty > 0) || Number.isNaN(price)) return null;
+  return {
+    key: raw.key || newKey(),
+    cardId: String(raw.cardId),
+    name: raw.name || null,
+    setId: raw.setId || null,
+    number: raw.number || null,
+    bucket: String(raw.bucket),
+    qty,
+    purchase_eur: price != null ? Math.round(price * 100) / 100 : null,
+    addedAt: raw.addedAt || new Date().toISOString().slice(0, 10)
+  };
+}
+
+export function addItem(raw) {
+  const item = makeItem(raw);
+  if (!item) return null;
+  const items = loadCollection();
+  items.push(item);
+  saveCollection(items);
+  return item;
+}
+
+// aggiunge solo gli item con key non ancora presente (reimportare il proprio export non duplica)
+export function mergeItems(items, incoming) {
+  const keys = new Set(items.map(x => x.key));
+  const added = incoming.filter(x => !keys.has(x.key) && keys.add(x.key));
+  return { items: [...items, ...added], added: added.length, duplicates: incoming.length - added.length };
+}
+
+export function removeItem(key) {
+  saveCollection(loadCollection().filter(x => x.key !== key));
+}
+
+/* --------------------------- CSV --------------------------- */
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(items) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const it of items) lines.push(CSV_COLUMNS.map(c => csvCell(it[c])).join(","));
+  return lines.join("\n");
+}
+
+// separatore "," o ";" (Excel in italiano), campi tra virgolette con "" per le virgolette
+function parseCSVRows(text) {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  const sep = (first.match(/;/g) || []).length > (first.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// ritorna { items, skipped } (saltate le righe senza cardId/bucket/qty validi o con prezzo illeggibile)
+export function fromCSV(text) {
+  const [header, ...rows] = parseCSVRows((text || "").replace(/^\uFEFF/, ""));
+  if (!header) return { items: [], skipped: 0 };
+  const cols = header.map(h => h.trim());
+
+  const items = [];
+  let skipped = 0;
+  for (const r of rows) {
+    const raw = Object.fromEntries(cols.map((c, i) => [c, (r[i] ?? "").trim()]));
+    const item = makeItem(raw);
+    if (item) items.push(item);
+    else skipped++;
+  }
+  return { items, skipped };
+}
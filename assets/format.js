@@ -0,0 +1,44 @@
+/* --------------------------- Formattazione condivisa dalle pagine ---------------------------
+   euro, escapeHtml e nomi dei bucket ("raw", "graad_9_5", "psa_10", "psa_unknown", ...)
+------------------------------------------------------------------------------------------------ */
+const EUR = new Intl.NumberFormat("it-IT", { style: "currency", currency: "EUR" });
+const EUR_WHOLE = new Intl.NumberFormat("it-IT", { style: "currency", currency: "EUR", maximumFractionDigits: 0 });
+
+// whole: senza centesimi (griglia di ricerca)
+export function euro(n, { whole = false } = {}) {
+  if (n == null || Number.isNaN(n)) return "—";
+  return (whole ? EUR_WHOLE : EUR).format(n);
+}
+
+export function escapeHtml(s) {
+  return (s ?? "").toString()
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "graad_9_5" -> { grader: "graad", grade: 9.5 }; "raw" / "psa_unknown" -> grade null
+export function parseBucket(key) {
+  const m = (key || "").match(/^([a-z]+)_(\d{1,2})(?:_(5))?$/);
+  if (m) return { grader: m[1], grade: Number(m[2]) + (m[3] ? 0.5 : 0) };
+  const unknown = (key || "").match(/^([a-z]+)_unknown$/);
+  return { grader: unknown ? unknown[1] : null, grade: null };
+}
+
+// "graad_9_5" -> "GRAAD 9.5", "raw" -> "RAW", "psa_unknown" -> "PSA (voto?)"
+export function bucketLabel(key) {
+  if (key === "raw") return "RAW";
+  const { grader, grade } = parseBucket(key);
+  if (!grader) return key || "";
+  return `${grader.toUpperCase()} ${grade == null ? "(voto?)" : grade}`;
+}
+
+// RAW prima, poi GRAAD per voto decrescente, poi gli altri grader (voto sconosciuto in fondo)
+export function bucketOrder(a, b) {
+  const rank = (k) => (k === "raw" ? 0 : k.startsWith("graad_") ? 1 : 2);
+  const pa = parseBucket(a), pb = parseBucket(b);
+  return rank(a) - rank(b)
+    || (pa.grader || "").localeCompare(pb.grader || "")
+    || (pb.grade ?? -1) - (pa.grade ?? -1);
+}
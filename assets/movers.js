@@ -0,0 +1,76 @@
+import { euro, escapeHtml, bucketLabel, bucketOrder } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+let data = { windows: {}, newlyTraded: {} };
+
+function cardLink(x) {
+  return `<a href="card.html?id=${encodeURIComponent(x.cardId)}">${escapeHtml(x.name || x.cardId)}</a> <span class="small mono">${escapeHtml([x.setId, x.number].filter(Boolean).join(" "))}</span>`;
+}
+
+function pct(x) {
+  return `${x > 0 ? "+" : ""}${x.toFixed(1)}%`;
+}
+
+function changesTable(list) {
+  if (!list?.length) return `<div class="small">Nessuna carta</div>`;
+  return `
+    <table class="sales">
+      <thead><tr><th>Carta</th><th>Prima</th><th>Ora</th><th>Variazione</th><th>Vendite (prima/ora)</th></tr></thead>
+      <tbody>${list.map(x => `
+        <tr>
+          <td>${cardLink(x)}</td>
+          <td class="mono">${euro(x.prev_median_eur)} <span class="small">${escapeHtml(x.prev_date)}</span></td>
+          <td class="mono">${euro(x.median_eur)}</td>
+          <td class="mono">${pct(x.change_pct)} <span class="small">(${euro(x.change_eur)})</span></td>
+          <td class="mono">${x.prev_n} / ${x.n}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+function newlyTable(list) {
+  if (!list?.length) return `<div class="small">Nessuna carta</div>`;
+  return `
+    <table class="sales">
+      <thead><tr><th>Carta</th><th>Mediana</th><th>Vendite</th><th>Prima vendita registrata</th></tr></thead>
+      <tbody>${list.map(x => `
+        <tr>
+          <td>${cardLink(x)}</td>
+          <td class="mono">${euro(x.median_eur)}</td>
+          <td class="mono">${x.n}</td>
+          <td class="mono">${escapeHtml(x.firstSeen)}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+function render() {
+  const w = $("window").value;
+  const bucket = $("bucket").value;
+  const moves = data.windows?.[w]?.[bucket] || {};
+
+  $("stats").textContent = `Aggiornato al ${data.day || "—"} • minimo ${data.minSales ?? "—"} vendite per punto`;
+  $("gainers").innerHTML = changesTable(moves.gainers);
+  $("losers").innerHTML = changesTable(moves.losers);
+  $("newly").innerHTML = newlyTable(data.newlyTraded?.[bucket]);
+}
+
+async function init() {
+  const r = await fetch("data/movers.json", { cache: "no-store" });
+  if (r.ok) data = await r.json();
+
+  const buckets = new Set(Object.keys(data.newlyTraded || {}));
+  for (const byBucket of Object.values(data.windows || {})) {
+    for (const b of Object.keys(byBucket)) buckets.add(b);
+  }
+  if (!buckets.size) buckets.add("graad_10");
+  const sorted = [...buckets].sort(bucketOrder);
+  $("bucket").innerHTML = sorted.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(bucketLabel(b))}</option>`).join("");
+  if (buckets.has("graad_10")) $("bucket").value = "graad_10";
+
+  $("window").addEventListener("change", render);
+  $("bucket").addEventListener("change", render);
+
+  render();
+}
+init();
@@ -0,0 +1,123 @@
+import { loadCollection, saveCollection, mergeItems, removeItem, toCSV, fromCSV } from "./collection.js";
+import { euro, escapeHtml, bucketLabel } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+let prices = {};
+
+function pct(x) {
+  return x == null ? "" : ` <span class="small">(${x > 0 ? "+" : ""}${x.toFixed(1)}%)</span>`;
+}
+
+function signed(n) {
+  if (n == null) return "—";
+  return `${n > 0 ? "+" : ""}${euro(n)}`;
+}
+
+// valore e P/L per riga; P/L solo se ci sono sia prezzo d'acquisto che mediana
+function valuate(it) {
+  const median = prices[it.cardId]?.[it.bucket]?.median_eur ?? null;
+  const n = prices[it.cardId]?.[it.bucket]?.n ?? 0;
+  const value = median != null ? median * it.qty : null;
+  const cost = it.purchase_eur != null ? it.purchase_eur * it.qty : null;
+  const pl = value != null && cost != null ? value - cost : null;
+  return { median, n, value, cost, pl, plPct: pl != null && cost ? (pl / cost) * 100 : null };
+}
+
+function renderTotals(rows) {
+  const valued = rows.filter(r => r.v.value != null);
+  const withPl = rows.filter(r => r.v.pl != null);
+  const value = valued.reduce((acc, r) => acc + r.v.value, 0);
+  const cost = rows.reduce((acc, r) => acc + (r.v.cost || 0), 0);
+  const plCost = withPl.reduce((acc, r) => acc + r.v.cost, 0);
+  const pl = withPl.reduce((acc, r) => acc + r.v.pl, 0);
+  const pieces = rows.reduce((acc, r) => acc + r.it.qty, 0);
+
+  const box = (label, main, sub) => `
+    <div class="pricebox">
+      <div class="small">${label}</div>
+      <div style="font-size:22px; font-weight:700;">${main}</div>
+      <div class="small">${sub}</div>
+    </div>`;
+
+  $("totals").innerHTML = [
+    box("Valore attuale", valued.length ? euro(value) : "—", `pezzi valutati: ${valued.reduce((acc, r) => acc + r.it.qty, 0)} su ${pieces}`),
+    box("Costo d'acquisto", cost ? euro(cost) : "—", `righe con prezzo: ${rows.filter(r => r.v.cost != null).length} su ${rows.length}`),
+    box("Profitto / perdita", withPl.length ? `${signed(pl)}${pct(plCost ? (pl / plCost) * 100 : null)}` : "—", "solo righe con acquisto e mediana")
+  ].join("");
+}
+
+function render() {
+  const items = loadCollection();
+  const rows = items.map(it => ({ it, v: valuate(it) }));
+
+  renderTotals(rows);
+  $("stats").textContent = `Righe: ${items.length}`;
+
+  if (!rows.length) {
+    $("results").innerHTML = `<div class="small">Collezione vuota: aggiungi carte dalla loro pagina o importa un CSV</div>`;
+    return;
+  }
+
+  $("results").innerHTML = `
+    <table class="sales">
+      <thead><tr><th>Carta</th><th>Bucket</th><th>Qtà</th><th>Acquisto (pezzo)</th><th>Mediana</th><th>Valore</th><th>P/L</th><th>Aggiunta</th><th></th></tr></thead>
+      <tbody>${rows.map(({ it, v }) => `
+        <tr>
+          <td><a href="card.html?id=${encodeURIComponent(it.cardId)}">${escapeHtml(it.name || it.cardId)}</a> <span class="small mono">${escapeHtml([it.setId, it.number].filter(Boolean).join(" "))}</span></td>
+          <td class="mono">${escapeHtml(bucketLabel(it.bucket))}</td>
+          <td class="mono">${it.qty}</td>
+          <td class="mono">${euro(it.purchase_eur)}</td>
+          <td class="mono">${v.median != null ? `${euro(v.median)} <span class="small">(${v.n})</span>` : `<span class="small">nessuna vendita</span>`}</td>
+          <td class="mono">${euro(v.value)}</td>
+          <td class="mono">${signed(v.pl)}${pct(v.plPct)}</td>
+          <td class="mono">${escapeHtml(it.addedAt)}</td>
+          <td><button type="button" data-remove="${escapeHtml(it.key)}">Rimuovi</button></td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+
+  for (const b of $("results").querySelectorAll("button[data-remove]")) {
+    b.addEventListener("click", () => {
+      removeItem(b.dataset.remove);
+      render();
+    });
+  }
+}
+
+function exportCSV() {
+  const blob = new Blob([toCSV(loadCollection())], { type: "text/csv;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `collezione-${new Date().toISOString().slice(0, 10)}.csv`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function importCSV(file) {
+  const { items, skipped } = fromCSV(await file.text());
+  const replace = $("replace").checked;
+  if (replace && !confirm(`Sostituire la collezione attuale con ${items.length} righe dal CSV?`)) return;
+
+  // righe con key già in collezione (es. il proprio export) non si duplicano
+  const merged = mergeItems(replace ? [] : loadCollection(), items);
+  saveCollection(merged.items);
+  $("import").value = "";
+  render();
+  $("stats").textContent += ` • importate ${merged.added}`
+    + (merged.duplicates ? `, già presenti ${merged.duplicates}` : "")
+    + (skipped ? `, saltate ${skipped} (cardId/bucket/qty mancanti o prezzo illeggibile)` : "");
+}
+
+async function init() {
+  const r = await fetch("data/prices.json", { cache: "no-store" }).catch(() => null);
+  prices = r?.ok ? (await r.json()).byCard || {} : {};
+
+  $("export").addEventListener("click", exportCSV);
+  $("import").addEventListener("change", (e) => {
+    const f = e.target.files?.[0];
+    if (f) importCSV(f);
+  });
+
+  render();
+}
+init();
@@ -0,0 +1,86 @@
+import { euro, escapeHtml, bucketLabel } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+let data = { byCard: {}, bySet: {}, byRarity: {}, ranking: [] };
+
+function gradeOf(b) {
+  return Number((b || "").replace(/^graad_/, "").replace("_", ".")) || 0;
+}
+
+function mult(x) {
+  return x == null ? "—" : `×${x.toFixed(2)}`;
+}
+
+function renderRanking() {
+  const bucket = $("bucket").value;
+  const minConf = Number($("minconf").value) || 0;
+  const sortKey = $("sort").value;
+
+  const res = data.ranking
+    .filter(x => x.bucket === bucket && x.confidence >= minConf)
+    .sort((a, b) => (b[sortKey] - a[sortKey]) || (b.confidence - a.confidence))
+    .slice(0, 200);
+
+  $("stats").textContent = `Carte: ${res.length}`;
+
+  $("results").innerHTML = res.length ? `
+    <table class="sales">
+      <thead><tr><th>Carta</th><th>Set</th><th>Rarità</th><th>RAW</th><th>${escapeHtml(bucketLabel(bucket))}</th><th>Moltiplicatore</th><th>Premium</th><th>Vendite (RAW/GRAAD)</th><th>Confidenza</th></tr></thead>
+      <tbody>${res.map(x => `
+        <tr>
+          <td><a href="card.html?id=${encodeURIComponent(x.cardId)}">${escapeHtml(x.name || x.cardId)}</a> <span class="small mono">${escapeHtml(x.number || "")}</span></td>
+          <td class="mono">${escapeHtml(x.setId || "—")}</td>
+          <td>${escapeHtml(x.rarity || "—")}</td>
+          <td class="mono">${euro(x.raw_median_eur)}</td>
+          <td class="mono">${euro(x.graded_median_eur)}</td>
+          <td class="mono">${mult(x.multiplier)}</td>
+          <td class="mono">${euro(x.premium_eur)}</td>
+          <td class="mono">${x.n_raw} / ${x.n_graded}</td>
+          <td class="mono">${x.confidence}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>` : `<div class="small">Nessuna carta con vendite RAW e ${escapeHtml(bucketLabel(bucket))} sufficienti</div>`;
+}
+
+function renderGroups(root, groups, label) {
+  const bucket = $("bucket").value;
+  const rows = Object.entries(groups || {})
+    .filter(([, byBucket]) => byBucket[bucket])
+    .map(([key, byBucket]) => ({ key, ...byBucket[bucket] }))
+    .sort((a, b) => b.median_multiplier - a.median_multiplier);
+
+  root.innerHTML = rows.length ? `
+    <table class="sales">
+      <thead><tr><th>${label}</th><th>Moltiplicatore (mediana)</th><th>Premium (mediana)</th><th>Carte</th><th>Vendite</th></tr></thead>
+      <tbody>${rows.map(r => `
+        <tr>
+          <td class="mono">${escapeHtml(r.key)}</td>
+          <td class="mono">${mult(r.median_multiplier)}</td>
+          <td class="mono">${euro(r.median_premium_eur)}</td>
+          <td class="mono">${r.cards}</td>
+          <td class="mono">${r.n_sales}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>` : `<div class="small">Dati insufficienti</div>`;
+}
+
+function render() {
+  renderRanking();
+  renderGroups($("byset"), data.bySet, "Set");
+  renderGroups($("byrarity"), data.byRarity, "Rarità");
+}
+
+async function init() {
+  const r = await fetch("data/premiums.json", { cache: "no-store" });
+  if (r.ok) data = await r.json();
+
+  // voti presenti nel ranking, dal più alto; GRAAD 10 di default se c'è
+  const buckets = [...new Set((data.ranking || []).map(x => x.bucket))].sort((a, b) => gradeOf(b) - gradeOf(a));
+  if (!buckets.length) buckets.push("graad_10");
+  $("bucket").innerHTML = buckets.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(bucketLabel(b))}</option>`).join("");
+
+  for (const id of ["bucket", "minconf", "sort"]) $(id).addEventListener("change", render);
+
+  render();
+}
+init();
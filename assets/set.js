@@ -0,0 +1,130 @@
+import { shardFileName, thumbnailFor } from "./shards.js";
+import { euro, escapeHtml } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+
+function getParam(name) {
+  return new URLSearchParams(location.search).get(name);
+}
+
+// colonne prezzo della tabella (il "master set value" si calcola su queste)
+const COLUMNS = [
+  ["RAW", "raw"],
+  ["GRAAD 9", "graad_9"],
+  ["GRAAD 9.5", "graad_9_5"],
+  ["GRAAD 10", "graad_10"]
+];
+
+// imageSmall dal catalogo ("" = niente miniatura, segnaposto); shard vecchi senza il campo: stessa regola della pipeline
+function thumbUrl(c) {
+  return c.imageSmall ?? thumbnailFor(c.imageLarge);
+}
+
+// numero in ordine naturale: 1, 2, ..., 10, poi promo/alfanumerici
+function numberOrder(a, b) {
+  const na = parseInt(a.number, 10), nb = parseInt(b.number, 10);
+  if (Number.isFinite(na) && Number.isFinite(nb) && na !== nb) return na - nb;
+  if (Number.isFinite(na) !== Number.isFinite(nb)) return Number.isFinite(na) ? -1 : 1;
+  return (a.number || "").localeCompare(b.number || "", undefined, { numeric: true });
+}
+
+function salesCount(p) {
+  return Object.values(p || {}).reduce((acc, v) => acc + (v?.n || 0), 0);
+}
+
+function renderTotals(root, cards, byCard) {
+  const boxes = COLUMNS.map(([label, key]) => {
+    const priced = cards.filter(c => byCard[c.id]?.[key]?.median_eur != null);
+    const total = priced.reduce((acc, c) => acc + byCard[c.id][key].median_eur, 0);
+    return `
+      <div class="pricebox">
+        <div class="small">Master set ${label}</div>
+        <div style="font-size:22px; font-weight:700;">${priced.length ? euro(total) : "—"}</div>
+        <div class="small">carte con prezzo: ${priced.length} su ${cards.length}</div>
+      </div>`;
+  });
+
+  const sales = cards.reduce((acc, c) => acc + salesCount(byCard[c.id]), 0);
+  boxes.push(`
+    <div class="pricebox">
+      <div class="small">Vendite (30 giorni)</div>
+      <div style="font-size:22px; font-weight:700;">${sales}</div>
+      <div class="small">carte vendute: ${cards.filter(c => salesCount(byCard[c.id])).length}</div>
+    </div>`);
+
+  root.innerHTML = boxes.join("");
+}
+
+function renderTable(root, cards, byCard) {
+  const cell = (p, key) => p?.[key]?.median_eur != null
+    ? `${euro(p[key].median_eur)} <span class="small">(${p[key].n})</span>`
+    : `<span class="small">—</span>`;
+
+  root.innerHTML = `
+    <table class="sales">
+      <thead><tr><th></th><th>N.</th><th>Carta</th><th>Rarità</th>${COLUMNS.map(([label]) => `<th>${label}</th>`).join("")}<th>Vendite</th></tr></thead>
+      <tbody>${cards.map(c => {
+        const p = byCard[c.id];
+        const href = `card.html?id=${encodeURIComponent(c.id)}`;
+        const thumb = thumbUrl(c);
+        return `
+        <tr>
+          <td><a href="${href}">${thumb ? `<img class="thumb" src="${escapeHtml(thumb)}" alt="" loading="lazy">` : `<div class="thumb-empty"></div>`}</a></td>
+          <td class="mono">${escapeHtml(c.numberFull || c.number || "")}</td>
+          <td><a href="${href}">${escapeHtml(c.name)}</a></td>
+          <td>${escapeHtml(c.rarity || "—")}</td>
+          ${COLUMNS.map(([, key]) => `<td class="mono">${cell(p, key)}</td>`).join("")}
+          <td class="mono">${salesCount(p) || `<span class="small">—</span>`}</td>
+        </tr>`;
+      }).join("")}
+      </tbody>
+    </table>`;
+}
+
+async function init() {
+  const set = getParam("set");
+  if (!set) {
+    $("title").innerHTML = "<h2>Espansione non indicata</h2>";
+    return;
+  }
+
+  $("back").href = `index.html?set=${encodeURIComponent(set)}`;
+
+  const [shardR, priceR, metaR] = await Promise.all([
+    fetch(`data/sets/${encodeURIComponent(shardFileName(set))}`, { cache: "no-cache" }).catch(() => null),
+    fetch("data/prices.json", { cache: "no-store" }),
+    fetch("data/meta.json", { cache: "no-store" }).catch(() => null)
+  ]);
+
+  // senza shard (primo deploy, shard non ancora scritti) si filtra catalog.json come app.js
+  const shard = shardR?.ok
+    ? await shardR.json()
+    : await fetch("data/catalog.json", { cache: "no-store" }).then(r => (r.ok ? r.json() : { cards: [] })).catch(() => ({ cards: [] }));
+  const prices = priceR.ok ? await priceR.json() : { byCard: {} };
+  const meta = metaR?.ok ? await metaR.json() : {};
+  const byCard = prices.byCard || {};
+
+  const cards = (shard.cards || []).filter(c => c.setId === set).sort(numberOrder);
+  if (!cards.length) {
+    $("title").innerHTML = "<h2>Espansione non trovata</h2>";
+    return;
+  }
+
+  const setName = cards[0].setName || set;
+  const langs = [...new Set(cards.map(c => c.lang).filter(Boolean))].map(l => l.toUpperCase()).join(", ");
+  document.title = `${setName} — Poke GRAAD Charting`;
+
+  $("title").innerHTML = `
+    <h2>${escapeHtml(setName)}</h2>
+    <div class="small"><span class="mono">${escapeHtml(set)}</span> — ${cards.length} carte${langs ? ` — ${escapeHtml(langs)}` : ""}</div>
+  `;
+
+  renderTotals($("totals"), cards, byCard);
+
+  $("stats").textContent = `Carte: ${cards.length} • con vendite: ${cards.filter(c => salesCount(byCard[c.id])).length}`;
+  renderTable($("results"), cards, byCard);
+
+  $("updated").textContent =
+    `Ultimo aggiornamento: ${meta.updatedAt || "—"} • Master set = somma delle mediane delle carte con almeno una vendita nel bucket`;
+}
+init();
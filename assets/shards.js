@@ -0,0 +1,18 @@
+/* --------------------------- Nomi file degli shard e miniature ---------------------------
+   condiviso tra sito (card.js, set.js) e pipeline (scripts/lib/shards.js): una regola sola
+   per i file data/sets/<setId>.json e data/history/<setId>.json e per imageSmall
+------------------------------------------------------------------------------------------------ */
+export function shardFileName(setId) {
+  return `${(setId || "_").replace(/[^A-Za-z0-9._-]/g, "_")}.json`;
+}
+
+// TCGdex ".../high.webp" -> ".../low.webp", Limitless "_LG"/"_XL" -> "_SM";
+// host sconosciuto: "" (il sito mostra il segnaposto invece di scaricare l'immagine grande)
+export function thumbnailFor(imageLarge) {
+  if (!imageLarge) return "";
+  const tcg = imageLarge.match(/^(https:\/\/assets\.tcgdex\.net\/.+)\/high\.(webp|png|jpg)$/);
+  if (tcg) return `${tcg[1]}/low.${tcg[2]}`;
+  const ltcg = /limitlesstcg/i.test(imageLarge) && imageLarge.match(/^(.+)_(LG|XL)\.(png|jpe?g|webp)$/i);
+  if (ltcg) return `${ltcg[1]}_SM.${ltcg[3]}`;
+  return "";
+}
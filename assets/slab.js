@@ -0,0 +1,94 @@
+import { euro, escapeHtml, bucketLabel } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+let byCert = {};
+
+/* --------------------------- Storico di una slab --------------------------- */
+function renderCert(cert) {
+  const sales = byCert[cert] || [];
+  $("title").innerHTML = `<h2>Slab GRAAD <span class="mono">${escapeHtml(cert)}</span></h2>`;
+  document.title = `Slab GRAAD ${cert}`;
+
+  if (!sales.length) {
+    $("stats").textContent = "Nessuna vendita registrata per questo certificato";
+    $("results").innerHTML = "";
+    return;
+  }
+
+  $("stats").textContent = `Vendite registrate: ${sales.length}`;
+
+  // variazione rispetto alla vendita precedente della stessa slab
+  let prev = null;
+  const rows = sales.map(s => {
+    const delta = prev != null && s.price_eur != null ? s.price_eur - prev : null;
+    if (!s.likelyRelist) prev = s.price_eur;
+    return { ...s, delta };
+  });
+
+  $("results").innerHTML = `
+    <table class="sales">
+      <thead><tr><th>Data</th><th>Prezzo</th><th>Δ</th><th>Voto</th><th>Fonte</th><th>Carta</th><th>Titolo</th></tr></thead>
+      <tbody>${rows.map(s => `
+        <tr${s.likelyRelist ? ` class="muted"` : ""}>
+          <td class="mono">${escapeHtml(s.date)}</td>
+          <td class="mono">${euro(s.price_eur)}</td>
+          <td class="mono">${s.delta == null ? "—" : (s.delta >= 0 ? "+" : "") + euro(s.delta)}</td>
+          <td class="mono">${escapeHtml(bucketLabel(s.bucket))}</td>
+          <td class="mono">${escapeHtml(s.source)}</td>
+          <td class="mono"><a href="card.html?id=${encodeURIComponent(s.cardId)}">${escapeHtml(s.cardId)}</a></td>
+          <td>${s.url ? `<a href="${escapeHtml(s.url)}" target="_blank" rel="noopener">${escapeHtml(s.title)}</a>` : escapeHtml(s.title)}${s.likelyRelist ? ` <span class="badge">relist</span>` : ""}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+/* --------------------------- Elenco slab (più rivendute prima) --------------------------- */
+function renderIndex() {
+  $("title").innerHTML = `<h2>Slab GRAAD</h2><div class="small">Vendite per numero di certificato, da quando vengono registrate.</div>`;
+
+  const list = Object.entries(byCert)
+    .map(([cert, sales]) => ({ cert, sales, last: sales[sales.length - 1] }))
+    .sort((a, b) => (b.sales.length - a.sales.length) || (b.last?.date || "").localeCompare(a.last?.date || ""));
+
+  $("stats").textContent = `Certificati registrati: ${list.length}`;
+
+  $("results").innerHTML = list.length ? `
+    <table class="sales">
+      <thead><tr><th>Certificato</th><th>Vendite</th><th>Ultima</th><th>Ultimo prezzo</th><th>Carta</th></tr></thead>
+      <tbody>${list.map(x => `
+        <tr>
+          <td class="mono"><a href="slab.html?cert=${encodeURIComponent(x.cert)}">${escapeHtml(x.cert)}</a></td>
+          <td class="mono">${x.sales.length}</td>
+          <td class="mono">${escapeHtml(x.last?.date || "")}</td>
+          <td class="mono">${euro(x.last?.price_eur)}</td>
+          <td class="mono">${escapeHtml(x.last?.cardId || "")}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>` : "";
+}
+
+function route() {
+  const cert = new URLSearchParams(location.search).get("cert") || "";
+  $("cert").value = cert;
+  if (cert) renderCert(cert);
+  else renderIndex();
+}
+
+async function init() {
+  const r = await fetch("data/slabs.json", { cache: "no-store" });
+  const j = r.ok ? await r.json() : { byCert: {} };
+  byCert = j.byCert || {};
+
+  $("cert").addEventListener("change", () => {
+    const url = new URL(location.href);
+    const v = $("cert").value.replace(/\D/g, "");
+    if (v) url.searchParams.set("cert", v);
+    else url.searchParams.delete("cert");
+    history.pushState(null, "", url.toString());
+    route();
+  });
+  window.addEventListener("popstate", route);
+
+  route();
+}
+init();
@@ -0,0 +1,76 @@
+import { euro, escapeHtml, bucketLabel, bucketOrder } from "./format.js";
+
+const $ = (id) => document.getElementById(id);
+let items = [];
+
+const REASONS = [
+  ["lot", "Lotto / bundle"],
+  ["no_local_id", "Numero carta assente"],
+  ["no_name_hit", "Nome non trovato"],
+  ["ambiguous", "Candidati ambigui"],
+  ["low_confidence", "Confidenza bassa"]
+];
+const REASON_LABEL = Object.fromEntries(REASONS);
+
+function buildOptions(select, entries, allLabel) {
+  select.innerHTML = "";
+  const opt0 = document.createElement("option");
+  opt0.value = "";
+  opt0.textContent = allLabel;
+  select.appendChild(opt0);
+  for (const [value, label] of entries) {
+    const o = document.createElement("option");
+    o.value = value;
+    o.textContent = label;
+    select.appendChild(o);
+  }
+}
+
+function candidatesHtml(cands) {
+  if (!cands?.length) return `<span class="small">—</span>`;
+  return cands
+    .map(c => `<a href="card.html?id=${encodeURIComponent(c.cardId)}" title="${escapeHtml((c.reasons || []).join(", "))}">${escapeHtml(c.cardId)}</a> <span class="small">${c.score}</span>`)
+    .join("<br>");
+}
+
+function render() {
+  const reason = $("reason").value;
+  const bucket = $("bucket").value;
+
+  let res = items;
+  if (reason) res = res.filter(x => x.reason === reason);
+  if (bucket) res = res.filter(x => x.bucket === bucket);
+
+  $("stats").textContent = `Non abbinate: ${res.length} su ${items.length}`;
+
+  $("results").innerHTML = res.length ? `
+    <table class="sales">
+      <thead><tr><th>Visto</th><th>Prezzo</th><th>Bucket</th><th>Motivo</th><th>Titolo</th><th>Candidati</th></tr></thead>
+      <tbody>${res.map(x => `
+        <tr>
+          <td class="mono">${escapeHtml((x.lastSeenAt || "").slice(0, 10))}</td>
+          <td class="mono">${euro(x.price_eur)}</td>
+          <td class="mono">${escapeHtml(x.bucket || "")}</td>
+          <td>${escapeHtml(REASON_LABEL[x.reason] || x.reason || "")}${x.confidence ? ` <span class="small">(${x.confidence})</span>` : ""}</td>
+          <td>${x.url ? `<a href="${escapeHtml(x.url)}" target="_blank" rel="noopener">${escapeHtml(x.title)}</a>` : escapeHtml(x.title)}</td>
+          <td class="mono">${candidatesHtml(x.candidates)}</td>
+        </tr>`).join("")}
+      </tbody>
+    </table>` : `<div class="small">Nessuna vendita scartata con questi filtri</div>`;
+}
+
+async function init() {
+  const r = await fetch("data/unmatched.json", { cache: "no-store" });
+  const j = r.ok ? await r.json() : { items: [] };
+  items = j.items || [];
+
+  buildOptions($("reason"), REASONS, "Tutti i motivi");
+  const buckets = [...new Set(items.map(x => x.bucket).filter(Boolean))].sort(bucketOrder);
+  buildOptions($("bucket"), buckets.map(b => [b, bucketLabel(b)]), "Tutti i bucket");
+
+  $("reason").addEventListener("change", render);
+  $("bucket").addEventListener("change", render);
+
+  render();
+}
+init();
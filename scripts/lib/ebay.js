@@ -0,0 +1,180 @@
+import * as cheerio from "cheerio";
+
+/* -------------------------------------------------------
+   Parsing pagine risultati eBay (venduti)
+-------------------------------------------------------- */
+// valuta -> token riconosciuti (prima i più specifici: "AU $" prima di "$")
+const CURRENCY_TOKENS = [
+  ["EUR", String.raw`€|\bEUR\b`],
+  ["GBP", String.raw`£|\bGBP\b`],
+  ["AUD", String.raw`\bAU\s?\$|\bAUD\b`],
+  ["CAD", String.raw`\bCA?\s?\$|\bCAD\b`],
+  ["USD", String.raw`\bUS\s?\$|\bUSD\b|\$`],
+  ["CHF", String.raw`\bCHF\b`],
+  ["PLN", String.raw`zł|\bPLN\b`],
+  ["SEK", String.raw`\bSEK\b`],
+  ["DKK", String.raw`\bDKK\b`],
+  ["JPY", String.raw`¥|円|\bJPY\b`]
+];
+// cifre con separatori: . , spazi (anche non separabili) e apostrofo svizzero
+const AMOUNT = String.raw`\d[\d.,'’\s\u00a0\u202f]*\d|\d`;
+
+// "1.250,00" / "1,250.00" / "1 250,00" / "12,5" / "1.250" -> numero
+export function parseAmount(str) {
+  const t = (str || "").replace(/['’\s\u00a0\u202f]/g, "");
+  if (!t) return null;
+
+  const lastDot = t.lastIndexOf(".");
+  const lastComma = t.lastIndexOf(",");
+  const lastSep = Math.max(lastDot, lastComma);
+
+  let normalized;
+  if (lastSep < 0) {
+    normalized = t;
+  } else {
+    const sep = t[lastSep];
+    const decimals = t.length - lastSep - 1;
+    const sepCount = t.split(sep).length - 1;
+    // il separatore è decimale se è l'ultimo e ha 1-2 cifre dopo (e non si ripete)
+    const isDecimal = (lastDot >= 0 && lastComma >= 0) || (decimals <= 2 && sepCount === 1);
+    if (isDecimal) {
+      normalized = t.slice(0, lastSep).replace(/[.,]/g, "") + "." + t.slice(lastSep + 1);
+    } else {
+      normalized = t.replace(/[.,]/g, "");
+    }
+  }
+
+  const v = Number(normalized);
+  return Number.isFinite(v) ? v : null;
+}
+
+// primo importo con valuta nel testo (prima o dopo il numero) -> { amount, currency } | null
+export function parsePrice(text) {
+  const t = (text || "").toString();
+  let best = null;
+
+  for (const [currency, token] of CURRENCY_TOKENS) {
+    const rx = new RegExp(`(?:${token})\\s*(${AMOUNT})|(${AMOUNT})\\s*(?:${token})`, "gi");
+    for (const m of t.matchAll(rx)) {
+      if (best && m.index >= best.index) break;
+      const amount = parseAmount(m[1] ?? m[2]);
+      if (amount != null) best = { index: m.index, amount, currency };
+      break;
+    }
+  }
+
+  return best ? { amount: best.amount, currency: best.currency } : null;
+}
+
+// compatibilità: solo importi in EUR. A differenza del vecchio parser di update.js
+// accetta anche la valuta prima dell'importo ("EUR 12,50"), vedi test/ebay.test.js
+export function parseEurPrice(text) {
+  const p = parsePrice(text);
+  return p && p.currency === "EUR" ? p.amount : null;
+}
+
+// mesi (abbreviati e per esteso) sui siti eBay it/de/fr/es/en, senza accenti
+const MONTHS = [
+  ["gen", "genn", "gennaio", "jan", "janv", "janvier", "januar", "january", "ene", "enero"],
+  ["feb", "febbr", "febbraio", "fevr", "fevrier", "februar", "february", "febrero"],
+  ["mar", "marzo", "mars", "marz", "mrz", "march"],
+  ["apr", "aprile", "avr", "avril", "april", "abr", "abril"],
+  ["mag", "maggio", "mai", "may", "mayo"],
+  ["giu", "giugno", "jun", "juin", "juni", "june", "junio"],
+  ["lug", "luglio", "jul", "juil", "juillet", "juli", "july", "julio"],
+  ["ago", "agosto", "aug", "aout", "august"],
+  ["set", "sett", "settembre", "sep", "sept", "septembre", "september", "septiembre"],
+  ["ott", "ottobre", "okt", "oktober", "oct", "octobre", "october", "octubre"],
+  ["nov", "novembre", "november", "noviembre"],
+  ["dic", "dicembre", "dez", "dezember", "dec", "decembre", "december", "diciembre"]
+];
+const MONTH_BY_NAME = new Map(MONTHS.flatMap((names, i) => names.map(n => [n, i + 1])));
+
+function monthNumber(name) {
+  const t = (name || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f.]/g, "");
+  return MONTH_BY_NAME.get(t) || MONTH_BY_NAME.get(t.slice(0, 3)) || null;
+}
+
+function isoDate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  // scarta date impossibili (31 feb -> 3 mar)
+  if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// "Venduto il 12 ott 2026" / "Verkauft 12. Okt 2026" / "Vendu le 12 oct. 2026" / "Sold Oct 12, 2026" -> "2026-10-12"
+export function parseSoldDate(text) {
+  const t = (text || "").replace(/\s+/g, " ");
+
+  const dmy = t.match(/(\d{1,2})\.?\s+([\p{L}.]{3,10})\s+(\d{4})/u);
+  if (dmy) {
+    const m = monthNumber(dmy[2]);
+    if (m) return isoDate(Number(dmy[3]), m, Number(dmy[1]));
+  }
+
+  const mdy = t.match(/([\p{L}.]{3,10})\s+(\d{1,2}),?\s+(\d{4})/u);
+  if (mdy) {
+    const m = monthNumber(mdy[1]);
+    if (m) return isoDate(Number(mdy[3]), m, Number(mdy[2]));
+  }
+
+  return null;
+}
+
+// "nomevenditore (1.234) 99,8%" -> "nomevenditore"
+export function parseSeller(text) {
+  const m = (text || "").trim().match(/^(\S+)/);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// id oggetto eBay dal link: /itm/123456789012, /itm/titolo-slug/123456789012, ?item=...
+export function extractEbayItemId(url) {
+  const u = (url || "").toString();
+  const m =
+    u.match(/\/itm\/(?:[^/?#]+\/)?(\d{9,15})(?=[/?#]|$)/) ||
+    u.match(/[?&]item=(\d{9,15})\b/);
+  return m ? m[1] : null;
+}
+
+// link senza parametri di tracking (?hash=..., &amdata=...)
+export function canonicalListingUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`.replace(/\/$/, "");
+  } catch {
+    return (url || "").split(/[?#]/)[0];
+  }
+}
+
+// toEur(amount, currency, soldAt) -> EUR | null (default: accetta solo EUR)
+const eurOnly = (amount, currency) => (currency === "EUR" ? amount : null);
+
+export function parseEbaySearchItems(html, { parsePrice: parse = parsePrice, toEur = eurOnly } = {}) {
+  const $ = cheerio.load(html);
+  const items = [];
+  $(".s-item").each((_, el) => {
+    const title = $(el).find(".s-item__title").text().trim();
+    const priceText = $(el).find(".s-item__price").text().trim();
+    const link = $(el).find(".s-item__link").attr("href");
+    const seller = parseSeller($(el).find(".s-item__seller-info-text").text());
+    const soldAt = parseSoldDate($(el).find(".s-item__caption-section, .s-item__caption--signal, .s-item__caption, .s-item__title--tagblock").first().text());
+
+    if (!title || title === "Shop on eBay") return;
+    const price = parse(priceText);
+    if (!link || !price) return;
+    const eur = toEur(price.amount, price.currency, soldAt);
+    if (eur == null) return;
+
+    items.push({
+      title,
+      price_eur: eur,
+      price_original: price.amount,
+      currency: price.currency,
+      url: link,
+      itemId: extractEbayItemId(link),
+      seller,
+      soldAt
+    });
+  });
+  return items;
+}
@@ -0,0 +1,38 @@
+/* -------------------------------------------------------
+   Cambi -> EUR (data/fx_rates.json)
+   - tabella locale e datata: { base: "EUR", rates: { "YYYY-MM-DD": { USD: 1.09, ... } } }
+   - convenzione BCE: 1 EUR = rate unità di valuta, quindi EUR = importo / rate
+   - per una data usa l'ultima tabella <= data (se non c'è, la più vecchia disponibile)
+-------------------------------------------------------- */
+export function loadFxRates(raw) {
+  return Object.entries(raw?.rates || {})
+    .map(([date, rates]) => ({ date, rates }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function ratesForDate(table, date) {
+  if (!table.length) return null;
+  const day = (date || "").slice(0, 10);
+  let hit = table[0];
+  for (const t of table) {
+    if (t.date <= day) hit = t;
+    else break;
+  }
+  return hit;
+}
+
+// -> { toEur(amount, currency, date?), date } ; valuta senza cambio -> null (la vendita si scarta)
+// date (es. data di vendita) sceglie la tabella; senza, vale quella di default
+export function makeToEur(table, date) {
+  const entry = ratesForDate(table, date);
+  return {
+    date: entry?.date || null,
+    toEur(amount, currency, when) {
+      if (amount == null) return null;
+      if (!currency || currency === "EUR") return amount;
+      const rate = (when ? ratesForDate(table, when) : entry)?.rates?.[currency];
+      if (!rate) return null;
+      return Math.round((amount / rate) * 100) / 100;
+    }
+  };
+}
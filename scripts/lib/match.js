@@ -0,0 +1,316 @@
+import { norm } from "./text.js";
+import { parseListingTitle } from "./title.js";
+
+/* -------------------------------------------------------
+   Lettura titoli eBay + matching sul catalogo
+   i campi vengono da parseListingTitle (title.js): gli helper qui sotto
+   accettano il titolo o l'oggetto già parsato, così chi parsa una volta
+   non ri-normalizza a ogni chiamata
+-------------------------------------------------------- */
+function asParsed(titleOrParsed) {
+  return typeof titleOrParsed === "object" && titleOrParsed?.norm != null
+    ? titleOrParsed
+    : parseListingTitle(titleOrParsed);
+}
+
+export function isLikelyLot(title) {
+  return asParsed(title).lot.value;
+}
+
+export function detectLangFromTitle(title) {
+  const p = asParsed(title);
+  return p.lang.from === "title" ? p.lang.value : null;
+}
+
+// --- fallback euristico (usato SOLO dove non hai jpSetIds)
+export function inferLangFromSetCode(setCode) {
+  const code = norm(setCode || "");
+
+  // JP mainline special sets spesso finiscono con "a"
+  // Esempi: sv2a, sv9a, s8a, s12a, sm12a, xy8a
+  if (/^(sv|s|sm|bw|xy)\d{1,3}a$/.test(code)) return "ja";
+
+  return null;
+}
+
+/* -------------------------------------------------------
+   Bucket per voto: "<grader>_<voto>" con i mezzi punti come "_5"
+   - scala completa 1..10 a mezzi punti (graad_8_5, graad_6, psa_10, ...)
+   - valori intermedi (es. 9.2) scendono al mezzo punto inferiore
+   - senza voto leggibile: "<grader>_unknown" (escluso dalle mediane)
+-------------------------------------------------------- */
+export function gradeBucket(grader, g) {
+  if (g == null || !Number.isFinite(g) || g < 1 || g > 10) return `${grader}_unknown`;
+  const half = Math.floor(g * 2) / 2;
+  return `${grader}_${String(half).replace(".", "_")}`;
+}
+
+// "graad_9_5" -> { grader: "graad", grade: 9.5 }; "raw" -> { grader: null, grade: null }
+export function parseBucket(bucket) {
+  const m = (bucket || "").match(/^([a-z]+)_(\d{1,2})(?:_(5))?$/);
+  if (!m) return { grader: /^[a-z]+_unknown$/.test(bucket || "") ? bucket.split("_")[0] : null, grade: null };
+  return { grader: m[1], grade: Number(m[2]) + (m[3] ? 0.5 : 0) };
+}
+
+export function graadBucketFromGrade(g) {
+  return gradeBucket("graad", g);
+}
+
+export function detectGraadBucket(title) {
+  const p = asParsed(title);
+  if (!p.norm.includes("graad")) return null;
+  if (p.grader.value !== "graad") return "graad_unknown";
+  return graadBucketFromGrade(p.grade.value);
+}
+
+// come detectGraadBucket ma per qualsiasi grader noto (PSA/CGC/BGS per confronto)
+export function detectGradeBucket(title) {
+  const p = asParsed(title);
+  if (!p.grader.value) return null;
+  return gradeBucket(p.grader.value, p.grade.value);
+}
+
+export function extractSetCode(title) {
+  return asParsed(title).setCode.value;
+}
+
+export function extractLocalId(title) {
+  return asParsed(title).number.value;
+}
+
+// numero certificato GRAAD: "cert 12345678", "certificato n. 1234567", "#12345678"
+// oppure (solo se il titolo parla di GRAAD) una sequenza isolata di 7-12 cifre
+export function extractGraadCert(title) {
+  return asParsed(title).cert.value;
+}
+
+export function titleHasName(tNorm, card) {
+  // per JA spesso nel titolo c'è l'inglese, quindi matchiamo anche nameEn
+  return (
+    tNorm.includes(norm(card.name)) ||
+    (card.nameEn && tNorm.includes(norm(card.nameEn)))
+  );
+}
+
+/* -------------------------------------------------------
+   Indice catalogo + matching a punteggio
+   - l'indice si costruisce una volta per run (o al volo, con cache per catalogo)
+   - candidati da numero (se nel titolo) oppure da token del nome
+   - ogni candidato ha score + reasons; la confidenza dipende dal "mode"
+     (strict / loose / name_only) e cala se il secondo è troppo vicino
+-------------------------------------------------------- */
+const SCORE = {
+  number: 0.42,
+  name: 0.34,          // nome completo (name/nameEn) come parola nel titolo
+  namePartial: 0.22,   // nome contenuto ma non a confine di parola (es. "mew" in "mewtwo")
+  pokemonKey: 0.26,    // solo la specie, es. "charizard" senza "ex"
+  setExact: 0.14,
+  setFamily: 0.04,
+  setMismatch: -0.08,
+  langExplicit: 0.06,
+  langInferred: 0.04,
+  total: 0.04
+};
+const AMBIGUITY_MARGIN = 0.02;
+const AMBIGUITY_PENALTY = 0.15;
+
+// token troppo generici per generare candidati
+const NAME_STOPWORDS = new Set(["ex", "gx", "v", "vmax", "vstar", "pokemon", "the", "of"]);
+
+const indexCache = new WeakMap();
+
+function numberKey(n) {
+  const k = norm(n);
+  return k ? k.replace(/^0+(?=\d)/, "") : "";
+}
+
+function tokens(s) {
+  return norm(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function hasPhrase(tNorm, phrase) {
+  const p = norm(phrase);
+  if (!p) return false;
+  const esc = p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${esc}($|[^\\p{L}\\p{N}])`, "u").test(tNorm);
+}
+
+export function buildCatalogIndex(catalog) {
+  const cards = catalog?.cards || [];
+  const byNumber = new Map();
+  const bySet = new Map();
+  const byPokemonKey = new Map();
+  const byToken = new Map();
+
+  const push = (map, key, c) => {
+    if (!key) return;
+    let arr = map.get(key);
+    if (!arr) map.set(key, (arr = []));
+    arr.push(c);
+  };
+
+  for (const c of cards) {
+    push(byNumber, numberKey(c.number), c);
+    push(bySet, norm(c.setId), c);
+    push(byPokemonKey, c.pokemonKey, c);
+
+    const toks = new Set([...tokens(c.name), ...tokens(c.nameEn), ...tokens(c.pokemonKey)]);
+    for (const tok of toks) {
+      if (tok.length < 3 || NAME_STOPWORDS.has(tok)) continue;
+      push(byToken, tok, c);
+    }
+  }
+
+  return { cards, byNumber, bySet, byPokemonKey, byToken };
+}
+
+function asIndex(catalogOrIndex) {
+  if (catalogOrIndex?.byNumber instanceof Map) return catalogOrIndex;
+  let idx = indexCache.get(catalogOrIndex);
+  if (!idx) {
+    idx = buildCatalogIndex(catalogOrIndex);
+    indexCache.set(catalogOrIndex, idx);
+  }
+  return idx;
+}
+
+function scoreCandidate(c, ctx) {
+  const reasons = [];
+  let score = 0;
+
+  if (ctx.localId) {
+    score += SCORE.number;
+    reasons.push("number");
+  }
+
+  if (titleHasName(ctx.t, c)) {
+    const full = hasPhrase(ctx.t, c.name) || (c.nameEn && hasPhrase(ctx.t, c.nameEn));
+    score += full ? SCORE.name : SCORE.namePartial;
+    reasons.push(full ? "name" : "name_partial");
+  } else if (c.pokemonKey && hasPhrase(ctx.t, c.pokemonKey)) {
+    score += SCORE.pokemonKey;
+    reasons.push("pokemon_key");
+  } else {
+    return null; // senza nome/specie nel titolo non è un candidato
+  }
+
+  if (ctx.setCode) {
+    const set = norm(c.setId);
+    if (set === ctx.setCode) {
+      score += SCORE.setExact;
+      reasons.push("set");
+    } else if (set.startsWith(ctx.setCode.slice(0, 2))) {
+      score += SCORE.setFamily;
+      reasons.push("set_family");
+    } else {
+      score += SCORE.setMismatch;
+      reasons.push("set_mismatch");
+    }
+  }
+
+  if (ctx.lang && c.lang === ctx.lang) {
+    score += SCORE.langExplicit;
+    reasons.push("lang");
+  } else if (ctx.finalLang && c.lang === ctx.finalLang) {
+    score += SCORE.langInferred;
+    reasons.push("lang_inferred");
+  }
+
+  if (ctx.total && c.numberFull && c.numberFull.endsWith(`/${ctx.total}`)) {
+    score += SCORE.total;
+    reasons.push("total");
+  }
+
+  return { card: c, score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// candidati ordinati per score (a parità: con immagine, poi ordine catalogo)
+// title: stringa o risultato di parseListingTitle
+export function rankCandidates(catalogOrIndex, title, { limit = 5 } = {}) {
+  const idx = asIndex(catalogOrIndex);
+  const p = asParsed(title);
+
+  const lang = p.lang.from === "title" ? p.lang.value : null;
+  const setCode = p.setCode.value;   // può essere sbagliato nel titolo
+  // qui NON hai jpSetIds: fallback euristico ok (già in p.lang)
+  const finalLang = p.lang.value;
+  const localId = p.number.value;
+  const ctx = { t: p.norm, lang, setCode, finalLang, localId, total: p.printedTotal.value };
+
+  let pool;
+  if (localId) {
+    pool = idx.byNumber.get(numberKey(localId)) || [];
+  } else {
+    const seen = new Set();
+    pool = [];
+    for (const tok of p.nameTokens.value || []) {
+      for (const c of idx.byToken.get(tok) || []) {
+        if (seen.has(c)) continue;
+        seen.add(c);
+        pool.push(c);
+      }
+    }
+    // senza numero il set nel titolo resta un filtro (come prima)
+    if (ctx.setCode) pool = pool.filter(c => norm(c.setId) === ctx.setCode);
+  }
+
+  const scored = [];
+  for (const c of pool) {
+    if (finalLang && c.lang !== finalLang) continue;
+    const s = scoreCandidate(c, ctx);
+    if (s) scored.push(s);
+  }
+
+  scored.sort((a, b) => (b.score - a.score) || ((b.card.imageLarge ? 1 : 0) - (a.card.imageLarge ? 1 : 0)));
+  return { ctx, candidates: limit ? scored.slice(0, limit) : scored };
+}
+
+// reason (solo se card=null): "lot" | "no_local_id" (niente numero e nessun nome) | "no_name_hit"
+export function bestMatchCard(catalogOrIndex, title, { limit = 5 } = {}) {
+  const p = asParsed(title);
+  if (p.lot.value) return { card: null, confidence: 0, reason: "lot", candidates: [] };
+
+  const { ctx, candidates } = rankCandidates(catalogOrIndex, p, { limit });
+  if (!candidates.length) {
+    return { card: null, confidence: 0, reason: ctx.localId ? "no_name_hit" : "no_local_id", candidates };
+  }
+
+  const [top, second] = candidates;
+  const r = new Set(top.reasons);
+
+  let mode, conf, cap;
+  if (!ctx.localId) {
+    mode = "name_only";
+    conf = 0.72;
+    if (ctx.setCode) conf += 0.05;
+    if (ctx.finalLang) conf += 0.03;
+    cap = 0.82;
+  } else if (!ctx.setCode || r.has("set")) {
+    mode = "strict";
+    conf = 0.86;
+    if (ctx.finalLang) conf += 0.04;
+    cap = 1.0;
+  } else {
+    mode = "loose";
+    conf = 0.80;
+    if (ctx.finalLang) conf += 0.05;
+    cap = 0.90;
+  }
+
+  // solo specie (senza nome completo): meno sicuro
+  if (r.has("pokemon_key") || r.has("name_partial")) conf -= 0.04;
+
+  // due stampe diverse a pari merito: non scegliamo a caso
+  const ambiguous = second &&
+    second.card.cardKey !== top.card.cardKey &&
+    top.score - second.score <= AMBIGUITY_MARGIN;
+  if (ambiguous) conf -= AMBIGUITY_PENALTY;
+
+  return {
+    card: top.card,
+    confidence: Math.round(Math.min(conf, cap) * 1000) / 1000,
+    mode,
+    ambiguous: !!ambiguous,
+    candidates
+  };
+}
@@ -0,0 +1,87 @@
+import { round2 } from "./stats.js";
+
+/* -------------------------------------------------------
+   Movers (data/movers.json): variazione della mediana per carta/bucket
+   - finestre 7 e 30 giorni: oggi vs l'ultimo punto storico di almeno N giorni fa
+     (non più vecchio di 2N giorni, altrimenti non è una variazione "a N giorni")
+   - conta solo chi ha almeno MOVERS_MIN_N vendite sia oggi che nel punto di confronto
+   - newlyTraded: primo punto storico negli ultimi 7 giorni
+   - per bucket solo i primi MOVERS_LIMIT: la pagina non carica lo storico intero
+-------------------------------------------------------- */
+export const MOVERS_WINDOWS = [7, 30];
+export const MOVERS_MIN_N = 3;
+export const MOVERS_LIMIT = 25;
+const NEW_WITHIN_DAYS = 7;
+
+function dayNumber(day) {
+  return Math.floor(Date.parse(`${day}T00:00:00Z`) / 86400000);
+}
+
+function cardInfo(c) {
+  return {
+    name: c?.name ?? null,
+    setId: c?.setId ?? null,
+    number: c?.numberFull || c?.number || null,
+    lang: c?.lang ?? null
+  };
+}
+
+// punto di confronto: l'ultimo con data in [oggi - 2w, oggi - w]
+function basePoint(series, today, w) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    const age = today - dayNumber(series[i].date);
+    if (age < w) continue;
+    return age <= 2 * w ? series[i] : null;
+  }
+  return null;
+}
+
+export function computeMovers(history, day, cards, { windows = MOVERS_WINDOWS, minSales = MOVERS_MIN_N, limit = MOVERS_LIMIT } = {}) {
+  const cardsById = new Map((cards || []).map(c => [c.id, c]));
+  const today = dayNumber(day);
+
+  const changes = Object.fromEntries(windows.map(w => [w, {}]));
+  const fresh = {};
+
+  for (const [cardId, buckets] of Object.entries(history?.byCard || {})) {
+    for (const [bucket, series] of Object.entries(buckets || {})) {
+      const cur = series[series.length - 1];
+      // solo carte ancora scambiate (punto di oggi)
+      if (!cur || cur.date !== day || cur.median_eur == null) continue;
+      const info = { cardId, ...cardInfo(cardsById.get(cardId)), bucket, median_eur: cur.median_eur, n: cur.n };
+
+      if (today - dayNumber(series[0].date) < NEW_WITHIN_DAYS) {
+        (fresh[bucket] ??= []).push({ ...info, firstSeen: series[0].date });
+      }
+
+      if (cur.n < minSales) continue;
+      for (const w of windows) {
+        const base = basePoint(series, today, w);
+        if (!base || !base.median_eur || base.n < minSales) continue;
+        (changes[w][bucket] ??= []).push({
+          ...info,
+          prev_median_eur: base.median_eur,
+          prev_n: base.n,
+          prev_date: base.date,
+          change_eur: round2(cur.median_eur - base.median_eur),
+          change_pct: round2(((cur.median_eur - base.median_eur) / base.median_eur) * 100)
+        });
+      }
+    }
+  }
+
+  const out = { day, minSales, windows: {}, newlyTraded: {} };
+  for (const w of windows) {
+    out.windows[w] = {};
+    for (const [bucket, list] of Object.entries(changes[w])) {
+      out.windows[w][bucket] = {
+        gainers: list.filter(x => x.change_pct > 0).sort((a, b) => b.change_pct - a.change_pct).slice(0, limit),
+        losers: list.filter(x => x.change_pct < 0).sort((a, b) => a.change_pct - b.change_pct).slice(0, limit)
+      };
+    }
+  }
+  for (const [bucket, list] of Object.entries(fresh)) {
+    out.newlyTraded[bucket] = list.sort((a, b) => (b.n - a.n) || (b.median_eur - a.median_eur)).slice(0, limit);
+  }
+  return out;
+}
@@ -0,0 +1,92 @@
+import { canonicalListingUrl } from "./ebay.js";
+
+/* -------------------------------------------------------
+   Override manuali (data/overrides.json)
+   - force: url o titlePattern (regex, case-insensitive) -> cardId + bucket
+   - block: urls / sellers da ignorare sempre
+   - valutati PRIMA del matching e riapplicati alle vendite già salvate
+     e alle non abbinate (data/unmatched.json), anche se l'annuncio non ricompare nelle query
+-------------------------------------------------------- */
+export function compileOverrides(raw) {
+  const force = [];
+  for (const rule of raw?.force || []) {
+    if (!rule?.cardId || !rule?.bucket) continue;
+    if (rule.url) {
+      force.push({ ...rule, url: canonicalListingUrl(rule.url) });
+      continue;
+    }
+    if (rule.titlePattern) {
+      try {
+        force.push({ ...rule, rx: new RegExp(rule.titlePattern, "i") });
+      } catch (e) {
+        console.warn(`[overrides] titlePattern non valido: ${rule.titlePattern} (${e.message})`);
+      }
+    }
+  }
+
+  return {
+    force,
+    blockedUrls: new Set((raw?.block?.urls || []).map(canonicalListingUrl)),
+    blockedSellers: new Set((raw?.block?.sellers || []).map(s => s.toLowerCase()))
+  };
+}
+
+// ritorna { action: "block", reason } | { action: "force", cardId, bucket } | null
+export function findOverride(compiled, { url, title, seller }) {
+  if (!compiled) return null;
+  const u = canonicalListingUrl(url);
+
+  if (compiled.blockedUrls.has(u)) return { action: "block", reason: "url" };
+  if (seller && compiled.blockedSellers.has(seller.toLowerCase())) return { action: "block", reason: "seller" };
+
+  // url esatto vince sul pattern
+  const hit =
+    compiled.force.find(r => r.url && r.url === u) ||
+    compiled.force.find(r => r.rx && r.rx.test(title || ""));
+  if (hit) return { action: "force", cardId: hit.cardId, bucket: hit.bucket };
+
+  return null;
+}
+
+// riapplica gli override alle vendite già salvate: bloccate fuori, forzate corrette
+export function applyOverridesToSales(sales, compiled) {
+  const out = [];
+  for (const s of sales) {
+    const ov = findOverride(compiled, s);
+    if (ov?.action === "block") continue;
+    if (ov?.action === "force") out.push({ ...s, cardId: ov.cardId, bucket: ov.bucket, override: true });
+    else out.push(s);
+  }
+  return out;
+}
+
+// override sulle non abbinate: le forzate diventano vendite, le bloccate spariscono
+// ritorna { items (ancora non abbinate), forced (vendite con cardId/bucket dell'override) }
+export function applyOverridesToUnmatched(items, compiled) {
+  const rest = [];
+  const forced = [];
+  for (const it of items) {
+    const ov = findOverride(compiled, it);
+    if (ov?.action === "block") continue;
+    if (ov?.action !== "force") {
+      rest.push(it);
+      continue;
+    }
+    forced.push({
+      collectedAt: it.lastSeenAt || it.seenAt,
+      source: it.source,
+      title: it.title,
+      url: it.url,
+      itemId: it.itemId,
+      seller: it.seller,
+      soldAt: it.soldAt || null,
+      price_eur: it.price_eur,
+      price_original: it.price_original,
+      currency: it.currency,
+      cardId: ov.cardId,
+      bucket: ov.bucket,
+      override: true
+    });
+  }
+  return { items: rest, forced };
+}
@@ -0,0 +1,100 @@
+import { parseBucket } from "./match.js";
+import { median, round2 } from "./stats.js";
+
+/* -------------------------------------------------------
+   Premium GRAAD su RAW (data/premiums.json)
+   - per carta e voto: multiplier = mediana GRAAD / mediana RAW, premium_eur = differenza
+   - confidence 0..1 dal campione più piccolo tra i due (sqrt: 1 vendita ~0.32, 10+ = 1)
+   - per set e rarità: mediana dei multiplier delle carte con almeno PREMIUM_MIN_N vendite per lato
+   - ranking: tutte le coppie carta/voto, per multiplier decrescente
+-------------------------------------------------------- */
+export const PREMIUM_FULL_N = 10;
+export const PREMIUM_MIN_N = 2;
+
+export function premiumConfidence(nRaw, nGraded) {
+  const n = Math.min(nRaw || 0, nGraded || 0);
+  if (!n) return 0;
+  return round2(Math.min(1, Math.sqrt(n / PREMIUM_FULL_N)));
+}
+
+// per una carta: { graad_10: { multiplier, premium_eur, raw_median_eur, graded_median_eur, n_raw, n_graded, confidence } }
+export function cardPremiums(buckets) {
+  const raw = buckets?.raw;
+  if (!raw?.median_eur || !raw.n) return {};
+
+  const out = {};
+  for (const [bucket, v] of Object.entries(buckets)) {
+    const { grader, grade } = parseBucket(bucket);
+    if (grader !== "graad" || grade == null || !v?.n || v.median_eur == null) continue;
+    out[bucket] = {
+      multiplier: round2(v.median_eur / raw.median_eur),
+      premium_eur: round2(v.median_eur - raw.median_eur),
+      raw_median_eur: raw.median_eur,
+      graded_median_eur: v.median_eur,
+      n_raw: raw.n,
+      n_graded: v.n,
+      confidence: premiumConfidence(raw.n, v.n)
+    };
+  }
+  return out;
+}
+
+function aggregate(entries) {
+  const groups = {};
+  for (const e of entries) {
+    if (e.key == null || e.n_raw < PREMIUM_MIN_N || e.n_graded < PREMIUM_MIN_N) continue;
+    const g = ((groups[e.key] ??= {})[e.bucket] ??= []);
+    g.push(e);
+  }
+
+  const out = {};
+  for (const [key, byBucket] of Object.entries(groups)) {
+    out[key] = {};
+    for (const [bucket, list] of Object.entries(byBucket)) {
+      out[key][bucket] = {
+        median_multiplier: round2(median(list.map(e => e.multiplier))),
+        median_premium_eur: round2(median(list.map(e => e.premium_eur))),
+        cards: list.length,
+        n_sales: list.reduce((acc, e) => acc + e.n_raw + e.n_graded, 0)
+      };
+    }
+  }
+  return out;
+}
+
+// prices: { byCard } di prices.json; cards: catalogo (per set/rarità/nome nel ranking)
+export function computePremiums(prices, cards) {
+  const cardsById = new Map((cards || []).map(c => [c.id, c]));
+  const byCard = {};
+  const ranking = [];
+
+  for (const [cardId, buckets] of Object.entries(prices?.byCard || {})) {
+    const prem = cardPremiums(buckets);
+    if (!Object.keys(prem).length) continue;
+    byCard[cardId] = prem;
+
+    const c = cardsById.get(cardId);
+    for (const [bucket, v] of Object.entries(prem)) {
+      ranking.push({
+        cardId,
+        name: c?.name ?? null,
+        setId: c?.setId ?? null,
+        setName: c?.setName ?? null,
+        number: c?.numberFull || c?.number || null,
+        rarity: c?.rarity ?? null,
+        lang: c?.lang ?? null,
+        bucket,
+        ...v
+      });
+    }
+  }
+
+  ranking.sort((a, b) => (b.multiplier - a.multiplier) || (b.confidence - a.confidence));
+
+  return {
+    byCard,
+    bySet: aggregate(ranking.map(e => ({ ...e, key: e.setId }))),
+    byRarity: aggregate(ranking.map(e => ({ ...e, key: e.rarity }))),
+    ranking
+  };
+}
@@ -0,0 +1,116 @@
+import { norm } from "./text.js";
+import { canonicalListingUrl, extractEbayItemId } from "./ebay.js";
+
+/* -------------------------------------------------------
+   Vendite: chiave canonica, dedup e relist
+   - chiave = id oggetto eBay (uguale su tutti i siti eBay), altrimenti url pulito + prezzo
+   - dedup anche retroattivo: le vendite vecchie senza itemId lo ricavano dal link
+   - stesso certificato GRAAD + stesso giorno + stesso prezzo = stessa vendita (es. annuncio su più siti)
+   - relist: stesso titolo + stesso venditore (o stesso certificato) entro pochi giorni, id diverso
+     -> le vendite precedenti sono marcate likelyRelist (la slab è una sola)
+     titolo + venditore solo per le gradate: due raw uguali dallo stesso venditore sono due copie
+-------------------------------------------------------- */
+export const RELIST_WINDOW_DAYS = 5;
+
+export function saleKey(s) {
+  const itemId = s.itemId || extractEbayItemId(s.url);
+  if (itemId && (!s.source || s.source.startsWith("ebay"))) return `ebay:${itemId}`;
+  return `${s.source || "ebay.it"}:${canonicalListingUrl(s.url)}|${s.price_eur}`;
+}
+
+function saleDay(s) {
+  return s.soldAt || (s.collectedAt || "").slice(0, 10);
+}
+
+// prima occorrenza vince; i campi mancanti si completano con le occorrenze successive
+export function dedupSales(sales) {
+  const byKey = new Map();
+  for (const s of sales) {
+    const itemId = s.itemId || extractEbayItemId(s.url);
+    const rec = itemId ? { ...s, itemId } : { ...s };
+    const k = saleKey(rec);
+    const certKey = rec.cert ? `cert:${rec.cert}|${saleDay(rec)}|${rec.price_eur}` : null;
+    const prev = byKey.get(k) || (certKey && byKey.get(certKey));
+    if (!prev) {
+      byKey.set(k, rec);
+      if (certKey) byKey.set(certKey, rec);
+      continue;
+    }
+    for (const [field, v] of Object.entries(rec)) {
+      if (prev[field] == null && v != null) prev[field] = v;
+    }
+  }
+  return [...new Set(byKey.values())];
+}
+
+export function flagRelists(sales, windowDays = RELIST_WINDOW_DAYS) {
+  const groups = new Map();
+  const add = (k, s) => {
+    let arr = groups.get(k);
+    if (!arr) groups.set(k, (arr = []));
+    arr.push(s);
+  };
+  for (const s of sales) {
+    delete s.likelyRelist;
+    delete s.relistOf;
+    const graded = s.bucket && s.bucket !== "raw";
+    if (graded && s.seller) add(`${s.seller.toLowerCase()}|${norm(s.title)}`, s);
+    if (s.cert) add(`cert:${s.cert}`, s);
+  }
+
+  const windowMs = windowDays * 24 * 3600 * 1000;
+  let flagged = 0;
+
+  for (const arr of groups.values()) {
+    if (arr.length < 2) continue;
+    arr.sort((a, b) => saleDay(a).localeCompare(saleDay(b)));
+
+    // ogni vendita seguita a breve da un'altra dello stesso annuncio è un relist
+    for (let i = 0; i < arr.length - 1; i++) {
+      const cur = arr[i];
+      const next = arr[i + 1];
+      if (saleKey(cur) === saleKey(next)) continue;
+      const gap = new Date(saleDay(next)).getTime() - new Date(saleDay(cur)).getTime();
+      if (gap > windowMs || cur.likelyRelist) continue;
+      cur.likelyRelist = true;
+      cur.relistOf = saleKey(next);
+      flagged++;
+    }
+  }
+
+  return flagged;
+}
+
+/* -------------------------------------------------------
+   Storico per slab (data/slabs.json)
+   - per certificato GRAAD, tutte le vendite mai registrate (niente finestra 30 giorni)
+   - una riga per saleKey: rigirare la pipeline non duplica
+-------------------------------------------------------- */
+export function updateSlabHistory(slabs, sales) {
+  const out = slabs && typeof slabs === "object" ? slabs : {};
+  out.byCert ??= {};
+
+  for (const s of sales) {
+    if (!s.cert) continue;
+    const list = (out.byCert[s.cert] ??= []);
+    const k = saleKey(s);
+    const rec = {
+      key: k,
+      date: saleDay(s),
+      price_eur: s.price_eur,
+      source: s.source || "ebay.it",
+      cardId: s.cardId,
+      bucket: s.bucket,
+      title: s.title,
+      url: s.url,
+      seller: s.seller || null,
+      likelyRelist: s.likelyRelist || undefined
+    };
+    const i = list.findIndex(x => x.key === k);
+    if (i >= 0) list[i] = rec;
+    else list.push(rec);
+    list.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return out;
+}
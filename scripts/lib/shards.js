@@ -0,0 +1,78 @@
+import { shardFileName, thumbnailFor } from "../../assets/shards.js";
+
+/* -------------------------------------------------------
+   Catalogo per il sito: indice di ricerca compatto + un file per set
+   - data/catalog_index.json: solo i campi che servono a cercare e mostrare la griglia
+     (set in una mappa a parte: il nome set non si ripete per ogni carta)
+   - data/sets/<setId>.json: le carte complete di un set (card.html, set.html)
+   - data/history/<setId>.json: lo storico prezzi delle carte del set (card.html)
+   - catalog.json resta l'input/cache della pipeline
+   - imageSmall: miniatura per griglia/tabelle ricavata da imageLarge
+   shardFileName e thumbnailFor stanno in assets/shards.js, condivise con il sito
+-------------------------------------------------------- */
+export { shardFileName, thumbnailFor };
+
+const INDEX_FIELDS = ["id", "name", "nameEn", "nameJa", "pokemonKey", "setId", "number", "numberFull", "lang", "rarity", "features", "imageSmall"];
+
+// imageSmall su ogni carta (anche su cataloghi vecchi letti con SKIP_CATALOG); ritorna quante ne cambia
+export function addThumbnails(catalog) {
+  let changed = 0;
+  for (const c of catalog?.cards || []) {
+    const thumb = thumbnailFor(c.imageLarge);
+    if ((c.imageSmall || "") === thumb) continue;
+    c.imageSmall = thumb;
+    changed++;
+  }
+  return changed;
+}
+
+export function buildSearchIndex(catalog) {
+  const sets = {};
+  const cards = [];
+
+  for (const c of catalog?.cards || []) {
+    if (!c?.id) continue;
+    const row = {};
+    for (const f of INDEX_FIELDS) {
+      const v = c[f];
+      // campi vuoti omessi: l'indice è scaricato a ogni visita
+      if (v == null || v === "" || (Array.isArray(v) && !v.length)) continue;
+      if (f === "nameJa" && v === c.name) continue;
+      row[f] = v;
+    }
+    cards.push(row);
+
+    if (c.setId) {
+      const s = (sets[c.setId] ??= { name: c.setName || c.setId, count: 0 });
+      s.count++;
+    }
+  }
+
+  return { sets, cards };
+}
+
+// { [setId]: { setId, setName, cards } } in ordine catalogo
+export function buildSetShards(catalog) {
+  const shards = {};
+  for (const c of catalog?.cards || []) {
+    if (!c?.id) continue;
+    const setId = c.setId || "_";
+    const s = (shards[setId] ??= { setId, setName: c.setName || setId, cards: [] });
+    s.cards.push(c);
+  }
+  return shards;
+}
+
+// { [setId]: { setId, updatedAt, byCard } }: card.html scarica solo lo storico del suo set
+export function buildHistoryShards(history, cards) {
+  const setOf = new Map((cards || []).map(c => [c.id, c.setId || "_"]));
+  const shards = {};
+  for (const [cardId, buckets] of Object.entries(history?.byCard || {})) {
+    const setId = setOf.get(cardId);
+    // carte uscite dal catalogo: restano solo in prices_history.json
+    if (!setId) continue;
+    const s = (shards[setId] ??= { setId, updatedAt: history.updatedAt || null, byCard: {} });
+    s.byCard[cardId] = buckets;
+  }
+  return shards;
+}
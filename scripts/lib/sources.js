@@ -0,0 +1,60 @@
+import { parsePrice as parseEbayPrice, parseEbaySearchItems } from "./ebay.js";
+
+/* -------------------------------------------------------
+   Adapter marketplace (fonti vendite)
+   Ogni adapter espone:
+   - id: valore salvato in sale.source (es. "ebay.de")
+   - buildSearchUrl({ keyword, page, gradedOnly }) -> url pagina "venduti"
+   - parsePrice(text) -> { amount, currency } | null
+   - parseItems(html, { toEur }) -> [{ title, price_eur, price_original, currency, url, seller }]
+     (toEur converte l'importo originale, vedi lib/fx.js)
+   Il fetch resta nella pipeline: gli adapter sono puri (testabili offline).
+-------------------------------------------------------- */
+
+// eBay: categoria “Trading Card Singles” (stesso id sui siti EU)
+export const EBAY_CATEGORY_ID = "183454";
+
+export function makeEbayAdapter({ id, host, categoryId = EBAY_CATEGORY_ID, parsePrice = parseEbayPrice }) {
+  return {
+    id,
+    buildSearchUrl({ keyword, page = 1, gradedOnly = false }) {
+      const params = new URLSearchParams({
+        _nkw: keyword,
+        LH_Sold: "1",
+        LH_Complete: "1",
+        rt: "nc",
+        _pgn: String(page),
+        _sacat: categoryId
+      });
+
+      // Condizione “Graded” (se disponibile in quella categoria)
+      if (gradedOnly) params.set("LH_ItemCondition", "2750");
+
+      return `https://${host}/sch/i.html?${params.toString()}`;
+    },
+    parsePrice,
+    parseItems(html, { toEur } = {}) {
+      return parseEbaySearchItems(html, { parsePrice, toEur });
+    }
+  };
+}
+
+export const SOURCES = Object.fromEntries(
+  [
+    makeEbayAdapter({ id: "ebay.it", host: "www.ebay.it" }),
+    makeEbayAdapter({ id: "ebay.de", host: "www.ebay.de" }),
+    makeEbayAdapter({ id: "ebay.fr", host: "www.ebay.fr" }),
+    makeEbayAdapter({ id: "ebay.es", host: "www.ebay.es" })
+  ].map(a => [a.id, a])
+);
+
+// id sconosciuti: warning e via (non blocchiamo la run per un refuso nel piano)
+export function getSources(ids) {
+  const out = [];
+  for (const id of ids?.length ? ids : ["ebay.it"]) {
+    const a = SOURCES[id];
+    if (a) out.push(a);
+    else console.warn(`[sources] fonte sconosciuta: ${id}`);
+  }
+  return out;
+}
@@ -0,0 +1,23 @@
+// statistiche di base condivise (prezzi, premium, movers)
+export function median(nums) {
+  const arr = finiteSorted(nums);
+  if (!arr.length) return null;
+  const mid = Math.floor(arr.length / 2);
+  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+export function finiteSorted(nums) {
+  return nums
+    .filter(n => typeof n === "number" && Number.isFinite(n))
+    .sort((a, b) => a - b);
+}
+// quantile con interpolazione lineare (arr già ordinato)
+export function quantileSorted(arr, q) {
+  if (!arr.length) return null;
+  const pos = (arr.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return arr[lo] + (arr[hi] - arr[lo]) * (pos - lo);
+}
+export function round2(n) {
+  return n == null ? null : Math.round(n * 100) / 100;
+}
@@ -0,0 +1,10 @@
+// normalizzazione condivisa (catalogo, titoli eBay, query)
+export function norm(s) {
+  return (s || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
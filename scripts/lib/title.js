@@ -0,0 +1,182 @@
+import { norm } from "./text.js";
+
+/* -------------------------------------------------------
+   Parser titoli annunci (una normalizzazione per titolo)
+   parseListingTitle(title) -> ogni campo è { value, confidence } (0..1):
+   - grader / grade      es. "graad" / 9.5
+   - lang                "ja" | "en" (+ from: "title" | "set_code")
+   - setCode             es. "sv2a"
+   - number              numero carta (181, SVP123, ...)
+   - printedTotal        es. "165" da "181/165"
+   - nameTokens          parole che restano tolto il "rumore" (voto, lingua, numeri, ...)
+   - variants            es. ["sar", "holo", "1st_edition"]
+   - lot                 true/false
+   - cert                numero certificato GRAAD
+   confidence 0 = campo assente
+-------------------------------------------------------- */
+export const GRADERS = ["graad", "psa", "cgc", "bgs"];
+
+// "GRAAD 9,5", "graad9", "PSA 10", "BGS 9.5", "CGC pristine 10"
+const GRADER_RX = /\b(graad|psa|cgc|bgs|beckett)(?![a-z])\s*(?:gem\s*mint\s*|mint\s*|pristine\s*)?(\d{1,2}(?:[.,]\d)?)?(?!\d)/g;
+
+const LANG_WORDS = {
+  ja: /\b(jap|jpn|jp|giapponese)\b/,
+  en: /\b(eng|english|en|inglese)\b/
+};
+
+// sv2a / sv9a / svp: affidabili; s8a, sm12a, m1l, mbd: più ambigui (es. "mew")
+const SET_CODE_RX = /\b(sv\d{1,2}[a-z]?|svp|sm\d{1,2}[a-z]?|s\d{1,2}[a-z]|m\d{1,2}[a-z]?|mb[a-z])\b/;
+
+const VARIANTS = [
+  ["1st_edition", /\b(1st|first|prima)\s*(edition|ed|edizione)\b/],
+  ["shadowless", /\bshadowless\b/],
+  ["reverse", /\breverse(\s*holo)?\b/],
+  ["holo", /\bholo\b/],
+  ["full_art", /\bfull\s*art\b/],
+  ["alt_art", /\b(alt(ernate)?\s*art)\b/],
+  ["promo", /\bpromo\b/],
+  ["sar", /\bsar\b/],
+  ["sr", /\bsr\b/],
+  ["ar", /\bar\b/],
+  ["chr", /\bchr\b/],
+  ["ur", /\bur\b/],
+  ["hr", /\bhr\b/],
+  ["secret", /\bsecret\b/],
+  ["gold", /\bgold\b/]
+];
+
+// parole che non sono mai nome carta
+const NOISE_WORDS = new Set([
+  "pokemon", "card", "cards", "carta", "carte", "tcg", "graded", "gem", "mint", "near",
+  "cert", "certificato", "certificate", "serial", "seriale", "id", "n", "no",
+  "ita", "italiano", "japanese", "japan", "giappone", "jpn", "jap", "jp", "eng", "en", "english", "inglese", "giapponese"
+]);
+
+const field = (value, confidence) => ({ value: value ?? null, confidence: value == null ? 0 : confidence });
+
+function parseGrader(t) {
+  const hits = [...t.matchAll(GRADER_RX)].map(m => ({
+    grader: m[1] === "beckett" ? "bgs" : m[1],
+    grade: m[2] ? Number(m[2].replace(",", ".")) : null
+  }));
+  if (!hits.length) return { grader: field(null), grade: field(null) };
+
+  // prima GRAAD (è il nostro mercato), poi chi ha un voto; più grader nel titolo = meno sicuri
+  const best =
+    hits.find(h => h.grader === "graad" && h.grade != null) ||
+    hits.find(h => h.grader === "graad") ||
+    hits.find(h => h.grade != null) ||
+    hits[0];
+  const distinct = new Set(hits.map(h => h.grader)).size;
+  const graderConf = (best.grade != null ? 0.95 : 0.6) - (distinct > 1 ? 0.25 : 0);
+  const gradeOk = best.grade != null && best.grade >= 1 && best.grade <= 10;
+
+  return {
+    grader: field(best.grader, graderConf),
+    grade: field(gradeOk ? best.grade : null, distinct > 1 ? 0.7 : 0.95)
+  };
+}
+
+function parseLang(t, setCode) {
+  if (LANG_WORDS.ja.test(t)) return { ...field("ja", 0.9), from: "title" };
+  if (LANG_WORDS.en.test(t)) return { ...field("en", 0.9), from: "title" };
+
+  // JP mainline special sets spesso finiscono con "a" (sv2a, s8a, sm12a, ...)
+  if (setCode && /^(sv|s|sm|bw|xy)\d{1,3}a$/.test(setCode)) return { ...field("ja", 0.6), from: "set_code" };
+  return { ...field(null), from: null };
+}
+
+function parseSetCode(t) {
+  const m = t.match(SET_CODE_RX);
+  if (!m) return field(null);
+  return field(m[1], /^sv/.test(m[1]) ? 0.9 : 0.6);
+}
+
+function parseNumber(raw) {
+  // 181/165 -> 181 (caso più affidabile)
+  const m1 = raw.match(/(\d{1,3})\s*\/\s*(\d{1,3})/);
+  if (m1) return { number: field(m1[1], 0.95), printedTotal: field(m1[2], 0.9) };
+
+  // promo/seriale tipo BW68 / SVP123 / mBD022 (ma non "PSA10")
+  for (const m of raw.matchAll(/\b([A-Z]{1,4}\d{1,4})\b/g)) {
+    if (/^(PSA|CGC|BGS)\d/.test(m[1])) continue;
+    return { number: field(m[1], 0.8), printedTotal: field(null) };
+  }
+
+  // evita di prendere il voto (es. GRAAD 9.5, PSA 10)
+  const rawWithoutGrade = raw.replace(/\b(graad|psa|cgc|bgs)\s*[0-9]{1,2}(?:[.,]5)?/ig, " ");
+
+  // #181 o 181 (fallback)
+  const m2 = rawWithoutGrade.match(/\b#?\s*(\d{2,3})\b/);
+  if (m2) return { number: field(m2[1], 0.5), printedTotal: field(null) };
+
+  return { number: field(null), printedTotal: field(null) };
+}
+
+// "cert 12345678", "certificato n. 1234567", "#12345678" oppure (solo titoli GRAAD) 7-12 cifre isolate
+function parseCert(raw) {
+  const kw = raw.match(/\b(?:cert(?:ificat[oe]|ificate)?|serial[e]?|id)\.?\s*(?:n[°º.o]?\s*)?[:#]?\s*(\d{5,12})\b/i);
+  if (kw) return field(kw[1], 0.9);
+
+  const hash = raw.match(/(?:^|\s)(?:n[°º]\s*|#)(\d{6,12})\b/i);
+  if (hash) return field(hash[1], 0.8);
+
+  if (!/graad/i.test(raw)) return field(null);
+  const bare = raw.replace(/\d{1,3}\s*\/\s*\d{1,3}/g, " ").match(/(?:^|[^\d/])(\d{7,12})(?![\d/])/);
+  return field(bare ? bare[1] : null, 0.6);
+}
+
+function parseLot(t) {
+  const lot =
+    /\blot\b/.test(t) ||
+    /\bbundle\b/.test(t) ||
+    /\bplayset\b/.test(t) ||
+    /\bchoose\b/.test(t) ||
+    /\bseleziona\b/.test(t) ||
+    /\b(\d+)\s*(cards|carte)\b/.test(t);
+  // "no" non è "assenza certa": i lotti scritti in altro modo sfuggono
+  return { value: lot, confidence: lot ? 0.9 : 0.7 };
+}
+
+function parseNameTokens(t, parsed) {
+  const skip = new Set([
+    ...GRADERS, "beckett", "graded",
+    parsed.setCode.value,
+    ...parsed.variants.value.flatMap(v => v.split("_"))
+  ].filter(Boolean));
+
+  const toks = t
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .filter(w => !/\d/.test(w))
+    .filter(w => !skip.has(w) && !NOISE_WORDS.has(w));
+
+  return field(toks.length ? toks : null, toks.length ? 0.6 : 0);
+}
+
+export function parseListingTitle(title) {
+  const raw = (title || "").toString();
+  const t = norm(raw);
+
+  const { grader, grade } = parseGrader(t);
+  const setCode = parseSetCode(t);
+  const { number, printedTotal } = parseNumber(raw);
+  const variants = VARIANTS.filter(([, rx]) => rx.test(t)).map(([name]) => name);
+
+  const parsed = {
+    raw,
+    norm: t,
+    grader,
+    grade,
+    lang: parseLang(t, setCode.value),
+    setCode,
+    number,
+    printedTotal,
+    variants: { value: variants, confidence: variants.length ? 0.8 : 0 },
+    lot: parseLot(t),
+    cert: parseCert(raw)
+  };
+  parsed.nameTokens = parseNameTokens(t, parsed);
+
+  return parsed;
+}
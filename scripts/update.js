@@ -1,6 +1,23 @@
 import fs from "fs";
 import fetch from "node-fetch";
 import * as cheerio from "cheerio";
+import { norm } from "./lib/text.js";
+import { median, finiteSorted, quantileSorted, round2 } from "./lib/stats.js";
+import { parseListingTitle } from "./lib/title.js";
+import {
+  inferLangFromSetCode,
+  detectGradeBucket,
+  extractGraadCert,
+  buildCatalogIndex,
+  bestMatchCard
+} from "./lib/match.js";
+import { getSources } from "./lib/sources.js";
+import { loadFxRates, makeToEur } from "./lib/fx.js";
+import { dedupSales, flagRelists, saleKey, updateSlabHistory } from "./lib/sales.js";
+import { computePremiums } from "./lib/premium.js";
+import { computeMovers } from "./lib/movers.js";
+import { addThumbnails, buildHistoryShards, buildSearchIndex, buildSetShards, shardFileName } from "./lib/shards.js";
+import { compileOverrides, findOverride, applyOverridesToSales, applyOverridesToUnmatched } from "./lib/overrides.js";
 
 const DATA_DIR = "data";
 const DAYS = 30;
@@ -9,6 +26,13 @@ const CATALOG_STRATEGY = process.env.CATALOG_STRATEGY || "tcgdex"; // "tcgdex" |
 const MIN_CATALOG_CARDS = 12000;
 const MIN_EN_CARDS = 8000;
 
+// filtro outlier sulle vendite di un bucket: "iqr" | "mad" | "none"
+const OUTLIER_METHOD = process.env.OUTLIER_METHOD || "iqr";
+// moltiplicatore: IQR -> Tukey fence (1.5), MAD -> modified z-score (3.5)
+const OUTLIER_K = Number(process.env.OUTLIER_K) || (OUTLIER_METHOD === "mad" ? 3.5 : 1.5);
+// sotto questa soglia il bucket è troppo sottile per decidere cosa è outlier
+const OUTLIER_MIN_N = 4;
+
 // (TCGdex-only) abilita enrichment EN via dexId (molto più costoso: fa chiamate /cards/:id anche per EN)
 const ENRICH_TCGDEX_EN_POKEMONKEY = process.env.ENRICH_TCGDEX_EN_POKEMONKEY === "1";
 
@@ -18,8 +42,32 @@ const DEX_CACHE_FILE = `${DATA_DIR}/dex_en_cache.json`;
 // cache locale jaName -> { dexId, enName, pokemonKey }
 const SPECIES_NAME_MAP_FILE = `${DATA_DIR}/poke_species_name_map.json`;
 
-// eBay: categoria “Trading Card Singles”
-const EBAY_CATEGORY_ID = "183454";
+// storico giornaliero mediane: cardId -> bucket -> [{ date, median_eur, n }]
+const HISTORY_FILE = `${DATA_DIR}/prices_history.json`;
+
+// vendite scartate (lotti, nessun match, confidenza bassa) da rivedere a mano
+const UNMATCHED_FILE = `${DATA_DIR}/unmatched.json`;
+const UNMATCHED_MAX = 2000;
+// sotto questa confidenza il match non entra nelle vendite
+const MIN_MATCH_CONFIDENCE = 0.72;
+
+// correzioni manuali: forza url/titolo -> carta+bucket, blocca url/venditori
+const OVERRIDES_FILE = `${DATA_DIR}/overrides.json`;
+
+// cambi datati per convertire in EUR (GBP/USD/CHF/...)
+const FX_FILE = `${DATA_DIR}/fx_rates.json`;
+
+// storico per certificato GRAAD (senza finestra): cert -> vendite
+const SLABS_FILE = `${DATA_DIR}/slabs.json`;
+
+// piano query eBay (termini espliciti + generazione da catalogo/vendite)
+const QUERIES_FILE = `${DATA_DIR}/queries.json`;
+const PREMIUMS_FILE = `${DATA_DIR}/premiums.json`;
+const MOVERS_FILE = `${DATA_DIR}/movers.json`;
+const SEARCH_INDEX_FILE = `${DATA_DIR}/catalog_index.json`;
+const SETS_DIR = `${DATA_DIR}/sets`;
+const HISTORY_DIR = `${DATA_DIR}/history`;
+
 const USER_AGENT = "PokeGraadBot/0.6";
 
 // Limitless JP (HTML)
@@ -30,28 +78,74 @@ const LIMITLESS_JP_INDEX = `${LIMITLESS_BASE}/cards/jp`;
 function readJson(path, fallback) {
   try { return JSON.parse(fs.readFileSync(path, "utf8")); } catch { return fallback; }
 }
-function writeJson(path, obj) {
-  fs.writeFileSync(path, JSON.stringify(obj, null, 2), "utf8");
+function writeJson(path, obj, { compact = false } = {}) {
+  fs.writeFileSync(path, compact ? JSON.stringify(obj) : JSON.stringify(obj, null, 2), "utf8");
 }
 function todayISO() {
   return new Date().toISOString().slice(0, 19) + "Z";
 }
-function norm(s) {
-  return (s || "")
-    .toString()
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/\s+/g, " ")
-    .trim();
+// ritorna { kept, removed } secondo OUTLIER_METHOD
+function filterOutliers(nums, method = OUTLIER_METHOD, k = OUTLIER_K) {
+  const arr = finiteSorted(nums);
+  if (method === "none" || arr.length < OUTLIER_MIN_N) return { kept: arr, removed: [] };
+
+  let isOut;
+  if (method === "mad") {
+    const med = median(arr);
+    const mad = median(arr.map(v => Math.abs(v - med)));
+    if (!mad) return { kept: arr, removed: [] };
+    // 0.6745 = scala MAD -> deviazione standard (distribuzione normale)
+    isOut = (v) => Math.abs(0.6745 * (v - med) / mad) > k;
+  } else {
+    const q1 = quantileSorted(arr, 0.25);
+    const q3 = quantileSorted(arr, 0.75);
+    const iqr = q3 - q1;
+    isOut = (v) => v < q1 - k * iqr || v > q3 + k * iqr;
+  }
+
+  return {
+    kept: arr.filter(v => !isOut(v)),
+    removed: arr.filter(isOut)
+  };
+}
+
+// statistiche di bucket per prices.json (n = vendite usate, dopo il filtro)
+function summarizePrices(nums) {
+  const { kept, removed } = filterOutliers(nums);
+  const mean = kept.length ? kept.reduce((a, b) => a + b, 0) / kept.length : null;
+  return {
+    median_eur: round2(median(kept)),
+    n: kept.length,
+    p25_eur: round2(quantileSorted(kept, 0.25)),
+    p75_eur: round2(quantileSorted(kept, 0.75)),
+    min_eur: kept.length ? kept[0] : null,
+    max_eur: kept.length ? kept[kept.length - 1] : null,
+    mean_eur: round2(mean),
+    outliers_removed: removed.length
+  };
+}
+// mediana per fonte (vendite vecchie senza source = ebay.it) sulle stesse vendite
+// rimaste dopo filterOutliers del bucket: le n per fonte sommano alla n del bucket
+function summarizeBySource(sales) {
+  const { removed } = filterOutliers(sales.map(s => s.price_eur));
+  const outliers = new Set(removed);
+  const groups = {};
+  for (const s of sales) {
+    if (!Number.isFinite(s.price_eur) || outliers.has(s.price_eur)) continue;
+    (groups[s.source || "ebay.it"] ??= []).push(s.price_eur);
+  }
+  const out = {};
+  for (const [source, arr] of Object.entries(groups)) {
+    out[source] = { median_eur: round2(median(arr)), n: arr.length };
+  }
+  return out;
+}
+// data di vendita reale se nota (soldAt), altrimenti quella di raccolta
+function saleTime(s) {
+  return new Date(s.soldAt || s.collectedAt).getTime();
 }
-function median(nums) {
-  const arr = nums
-    .filter(n => typeof n === "number" && Number.isFinite(n))
-    .sort((a, b) => a - b);
-  if (!arr.length) return null;
-  const mid = Math.floor(arr.length / 2);
-  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+function dayISO(iso) {
+  return (iso || todayISO()).slice(0, 10);
 }
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -973,215 +1067,239 @@ function validateCatalogShape(catalog) {
 }
 
 /* -------------------------------------------------------
-   2) Scraping vendite eBay.it
+   2) Scraping vendite (eBay EU e altre fonti)
+   - adapter per fonte (url ricerca + parsing): lib/sources.js
+   - parsing risultati eBay: lib/ebay.js
+   - lettura titoli + matching catalogo: lib/match.js
 -------------------------------------------------------- */
-function isLikelyLot(title) {
-  const t = norm(title);
-  return (
-    /\blot\b/.test(t) ||
-    /\bbundle\b/.test(t) ||
-    /\bplayset\b/.test(t) ||
-    /\bchoose\b/.test(t) ||
-    /\bseleziona\b/.test(t) ||
-    /\b(\d+)\s*(cards|carte)\b/.test(t)
-  );
-}
+async function fetchSoldPageHTML(source, { keyword, page = 1, gradedOnly = false }) {
+  const url = source.buildSearchUrl({ keyword, page, gradedOnly });
 
-function parseEurPrice(text) {
-  const m = (text || "").replace(/\./g, "").match(/(\d+,\d{1,2}|\d+)(?=\s*€|\s*eur)/i);
-  if (!m) return null;
-  const v = Number(m[1].replace(",", "."));
-  return Number.isFinite(v) ? v : null;
-}
-
-function detectLangFromTitle(title) {
-  const t = norm(title);
-  if (/\b(jap|jpn|jp|giapponese)\b/.test(t)) return "ja";
-  if (/\b(eng|english|en|inglese)\b/.test(t)) return "en";
-  return null;
-}
-
-// --- fallback euristico (usato SOLO dove non hai jpSetIds)
-function inferLangFromSetCode(setCode) {
-  const code = norm(setCode || "");
-
-  // JP mainline special sets spesso finiscono con "a"
-  // Esempi: sv2a, sv9a, s8a, s12a, sm12a, xy8a
-  if (/^(sv|s|sm|bw|xy)\d{1,3}a$/.test(code)) return "ja";
-
-  return null;
+  const resp = await fetch(url, {
+    headers: { "user-agent": `Mozilla/5.0 (compatible; ${USER_AGENT})` }
+  });
+  if (!resp.ok) throw new Error(`${source.id} fetch failed: ${resp.status}`);
+  return await resp.text();
 }
 
-function detectGraadBucket(title) {
-  const t = norm(title);
-  if (!t.includes("graad")) return null;
-
-  const m = t.match(/graad\s*([0-9]{1,2}(?:[.,]5)?)/);
-  if (!m) return "graad_unknown";
-
-  const g = Number(m[1].replace(",", "."));
-  if (g === 10) return "graad_10";
-  if (g === 9.5) return "graad_9_5";
-  if (g === 9) return "graad_9";
-  if (g === 8) return "graad_8";
-  if (g === 7) return "graad_7";
-
-  if (g > 9 && g < 9.5) return "graad_9";
-  if (g > 8 && g < 9) return "graad_8";
-  if (g > 7 && g < 8) return "graad_7";
-
-  return "graad_unknown";
+/* -------------------------------------------------------
+   Piano query eBay (data/queries.json)
+   - graded/raw.terms: termini espliciti (esclusioni aggiunte in automatico)
+   - watch.cards: cardId oppure { setId, number } risolti sul catalogo
+   - sets/pokemon: codici/chiavi espliciti + i più venduti (topFromSales)
+   - ordine = priorità: se si supera maxQueries si tagliano gli ultimi
+   - sources: adapter su cui girare ogni query (lib/sources.js)
+   - compare (opzionale): stessi termini cercati con PSA/CGC/BGS per confronto;
+     senza compare le vendite di altri grader vengono scartate
+-------------------------------------------------------- */
+const DEFAULT_QUERY_PLAN = {
+  sources: ["ebay.it"],
+  pages: 2,
+  maxQueries: 60,
+  exclude: ["-psa", "-bgs", "-bsg", "-cgc"],
+  graded: { terms: ["pokemon", "sv2a", "sv9a", "jap"] },
+  raw: { terms: ["sv2a 181/165", "meloetta 022/021"] }
+};
+
+// i più frequenti tra le vendite recenti, per chiave (setId / pokemonKey)
+function topKeysFromSales(sales, cardsById, field, n) {
+  if (!n) return [];
+  const counts = new Map();
+  for (const s of sales) {
+    const v = cardsById.get(s.cardId)?.[field];
+    if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([k]) => k);
 }
 
-function extractSetCode(title) {
-  const t = norm(title);
-  // sv2a / sv9a / sv4a ecc, e anche codici tipo mbd
-  const m = t.match(/\b(sv\d{1,2}[a-z]?|m[a-z]{1,3})\b/);
-  return m ? m[0] : null;
+function resolveWatchedCards(entries, cards, cardsById) {
+  const out = [];
+  for (const e of entries || []) {
+    if (typeof e === "string") {
+      const c = cardsById.get(e);
+      if (c) out.push(c);
+      continue;
+    }
+    if (!e?.setId || !e?.number) continue;
+    const hit = cards.filter(c => norm(c.setId) === norm(e.setId) && norm(c.number) === norm(e.number));
+    out.push(...hit);
+  }
+  return out;
 }
 
-function extractLocalId(title) {
-  const raw = title || "";
+function buildQueryPlan(plan, catalog, sales) {
+  const p = { ...DEFAULT_QUERY_PLAN, ...(plan || {}) };
+  const exclude = (p.exclude || []).join(" ");
+  const cards = catalog.cards || [];
+  const cardsById = new Map(cards.map(c => [c.id, c]));
 
-  // 181/165 -> 181 (caso più affidabile)
-  const m1 = raw.match(/(\d{1,3})\s*\/\s*(\d{1,3})/);
-  if (m1) return m1[1];
+  const out = [];
+  const seen = new Set();
+  const add = (term, gradedOnly, pages, grader = gradedOnly ? "graad" : null) => {
+    const t = (term || "").toString().replace(/\s+/g, " ").trim();
+    if (!t) return;
+    // query di confronto: niente esclusione del grader cercato, fuori i GRAAD
+    const others = (p.exclude || []).filter(x => !x.toLowerCase().startsWith(`-${grader}`)).join(" ");
+    const keyword = !gradedOnly
+      ? `pokemon ${t.replace(/^pokemon\s+/i, "")} ${exclude} -graad -graded`.trim()
+      : grader === "graad"
+        ? `"GRAAD" ${t} ${exclude}`.trim()
+        : `"${grader.toUpperCase()}" ${t} ${others} -graad`.trim();
+    if (seen.has(keyword)) return;
+    seen.add(keyword);
+    out.push({ keyword, gradedOnly, grader, pages: Number(pages) || p.pages });
+  };
+  const addBoth = (cfg, term) => {
+    if (cfg.graded !== false) add(term, true, cfg.pages);
+    if (cfg.raw) add(term, false, cfg.pages);
+  };
+
+  for (const t of p.graded?.terms || []) add(t, true, p.graded.pages);
+  for (const t of p.raw?.terms || []) add(t, false, p.raw.pages);
+
+  if (p.watch) {
+    for (const c of resolveWatchedCards(p.watch.cards, cards, cardsById)) {
+      const name = c.nameEn || c.name;
+      const num = c.numberFull || c.number;
+      addBoth(p.watch, `${name} ${num}`);
+    }
+  }
 
-  // promo/seriale tipo BW68 / SVP123 / mBD022
-  const mPromo = raw.match(/\b([A-Z]{1,4}\d{1,4})\b/);
-  if (mPromo) return mPromo[1];
+  if (p.sets) {
+    const codes = [...(p.sets.codes || []), ...topKeysFromSales(sales, cardsById, "setId", p.sets.topFromSales)];
+    for (const code of codes) addBoth(p.sets, code);
+  }
 
-  // evita di prendere il voto GRAAD (es. 9.5, 10)
-  const rawWithoutGrade = raw.replace(/graad\s*[0-9]{1,2}(?:[.,]5)?/ig, " ");
+  if (p.pokemon) {
+    const keys = [...(p.pokemon.keys || []), ...topKeysFromSales(sales, cardsById, "pokemonKey", p.pokemon.topFromSales)];
+    for (const k of keys) addBoth(p.pokemon, k);
+  }
 
-  // #181 o 181 (fallback)
-  const m2 = rawWithoutGrade.match(/\b#?\s*(\d{2,3})\b/);
-  if (m2) return m2[1];
+  if (p.compare) {
+    for (const g of p.compare.graders || []) {
+      for (const t of p.compare.terms || []) add(t, true, p.compare.pages, norm(g));
+    }
+  }
 
-  return null;
+  return p.maxQueries ? out.slice(0, p.maxQueries) : out;
 }
 
-function titleHasName(tNorm, card) {
-  // per JA spesso nel titolo c'è l'inglese, quindi matchiamo anche nameEn
-  return (
-    tNorm.includes(norm(card.name)) ||
-    (card.nameEn && tNorm.includes(norm(card.nameEn)))
-  );
+/* -------------------------------------------------------
+   Vendite non abbinate (data/unmatched.json)
+   - stessa finestra rolling delle vendite
+   - una riga per annuncio (saleKey: id oggetto eBay, uguale su tutti i siti e senza tracking):
+     aggiorna lastSeenAt/reason/candidati, conta gli avvistamenti
+-------------------------------------------------------- */
+function mergeSeen(a, b) {
+  const [older, newer] = (a.lastSeenAt || "") <= (b.lastSeenAt || "") ? [a, b] : [b, a];
+  return {
+    ...newer,
+    firstSeenAt: [older.firstSeenAt, newer.firstSeenAt].filter(Boolean).sort()[0],
+    hits: (older.hits || 1) + (newer.hits || 1)
+  };
 }
 
-function bestMatchCard(catalog, title) {
-  const t = norm(title);
-  if (isLikelyLot(t)) return { card: null, confidence: 0 };
-
-  const lang = detectLangFromTitle(t);
-  const setCode = extractSetCode(title);   // può essere sbagliato nel titolo
-
-  // qui NON hai jpSetIds: fallback euristico ok
-  const langBySet = inferLangFromSetCode(setCode);
-
-  const finalLang = lang || langBySet;
-  const localId = extractLocalId(title);
-  const cards = catalog.cards || [];
+function mergeUnmatched(prev, fresh, cutoff, now) {
+  const byKey = new Map();
+  for (const it of prev?.items || []) {
+    if (new Date(it.lastSeenAt || it.seenAt).getTime() < cutoff) continue;
+    // righe vecchie (chiave url+titolo) con lo stesso annuncio: resta la più recente
+    const k = saleKey(it);
+    const dup = byKey.get(k);
+    byKey.set(k, dup ? mergeSeen(dup, it) : it);
+  }
 
-  if (!localId) {
-    // Fallback: alcuni titoli eBay non riportano il numero carta.
-    const byName = cards.filter(c => {
-      if (lang && c.lang !== lang) return false;
-      if (!lang && finalLang && c.lang !== finalLang) return false;
-      if (setCode && norm(c.setId) !== norm(setCode)) return false;
-      return titleHasName(t, c);
+  for (const it of fresh) {
+    const k = saleKey(it);
+    const old = byKey.get(k);
+    const { seenAt, ...rest } = it;
+    byKey.set(k, {
+      ...rest,
+      firstSeenAt: old?.firstSeenAt || seenAt,
+      lastSeenAt: seenAt,
+      // stesso annuncio da un altro sito eBay nello stesso run: un avvistamento solo
+      hits: (old?.hits || 0) + (old?.lastSeenAt === seenAt ? 0 : 1)
     });
-
-    if (!byName.length) return { card: null, confidence: 0 };
-
-    let best = byName[0];
-    for (const c of byName) if (c.imageLarge && !best.imageLarge) best = c;
-
-    let conf = 0.72;
-    if (setCode) conf += 0.05;
-    if (finalLang) conf += 0.03;
-    return { card: best, confidence: Math.min(conf, 0.82), mode: "name_only" };
   }
 
-  // PASS 1 (strict): lingua + setCode + numero + nome
-  let strict = cards.filter(c => {
-    if (lang && c.lang !== lang) return false;
-    if (!lang && finalLang && c.lang !== finalLang) return false;
-    if (setCode && norm(c.setId) !== norm(setCode)) return false;
-    if (c.number && norm(c.number) !== norm(localId)) return false;
-    return titleHasName(t, c);
-  });
+  const items = [...byKey.values()]
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .slice(0, UNMATCHED_MAX);
 
-  if (strict.length) {
-    let best = strict[0];
-    for (const c of strict) if (c.imageLarge && !best.imageLarge) best = c;
+  return { updatedAt: now, items };
+}
 
-    let conf = 0.86;
-    if (finalLang) conf += 0.04;
-    return { card: best, confidence: Math.min(conf, 1.0), mode: "strict" };
-  }
+/* -------------------------------------------------------
+   Storico prezzi (snapshot giornaliero)
+   - un punto per giorno per carta/bucket (se rigiri lo stesso giorno, sovrascrive)
+   - salva solo bucket con almeno una vendita
+-------------------------------------------------------- */
+function appendPriceHistory(history, priceOut, day) {
+  const out = history && typeof history === "object" ? history : {};
+  out.byCard ??= {};
 
-  // PASS 2 (loose): numero + nome + (lingua se presente)
-  let loose = cards.filter(c => {
-    if (lang && c.lang !== lang) return false;
-    if (!lang && finalLang && c.lang !== finalLang) return false;
-    if (c.number && norm(c.number) !== norm(localId)) return false;
-    return titleHasName(t, c);
-  });
+  for (const [cardId, buckets] of Object.entries(priceOut.byCard || {})) {
+    for (const [bucket, v] of Object.entries(buckets)) {
+      if (!v || !v.n || v.median_eur == null) continue;
 
-  if (!loose.length) return { card: null, confidence: 0 };
+      out.byCard[cardId] ??= {};
+      const series = (out.byCard[cardId][bucket] ??= []);
+      const point = { date: day, median_eur: v.median_eur, n: v.n };
 
-  let best = loose[0];
+      const i = series.findIndex(x => x.date === day);
+      if (i >= 0) series[i] = point;
+      else series.push(point);
 
-  if (setCode) {
-    const sameFamily = loose.find(c => norm(c.setId).startsWith(norm(setCode).slice(0, 2)));
-    if (sameFamily) best = sameFamily;
+      series.sort((a, b) => a.date.localeCompare(b.date));
+    }
   }
 
-  for (const c of loose) if (c.imageLarge && !best.imageLarge) best = c;
-
-  let conf = 0.80;
-  if (finalLang) conf += 0.05;
-  return { card: best, confidence: Math.min(conf, 0.90), mode: "loose" };
+  out.updatedAt = day;
+  return out;
 }
 
-async function fetchEbaySoldPageHTML({ keyword, page = 1, categoryId = EBAY_CATEGORY_ID, gradedOnly = false }) {
-  const params = new URLSearchParams({
-    _nkw: keyword,
-    LH_Sold: "1",
-    LH_Complete: "1",
-    rt: "nc",
-    _pgn: String(page),
-    _sacat: categoryId
-  });
-
-  // Condizione “Graded” (se disponibile in quella categoria)
-  if (gradedOnly) params.set("LH_ItemCondition", "2750");
+/* -------------------------------------------------------
+   Indice di ricerca + shard per set (vedi lib/shards.js)
+   - riscritti a ogni run (costano poco), shard di set spariti dal catalogo rimossi
+-------------------------------------------------------- */
+function writeCatalogShards(catalog) {
+  if (!catalog.cards?.length) return;
 
-  const url = `https://www.ebay.it/sch/i.html?${params.toString()}`;
+  writeJson(SEARCH_INDEX_FILE, buildSearchIndex(catalog), { compact: true });
 
-  const resp = await fetch(url, {
-    headers: { "user-agent": `Mozilla/5.0 (compatible; ${USER_AGENT})` }
-  });
-  if (!resp.ok) throw new Error(`eBay fetch failed: ${resp.status}`);
-  return await resp.text();
+  if (!fs.existsSync(SETS_DIR)) fs.mkdirSync(SETS_DIR);
+  const files = new Set();
+  for (const [setId, shard] of Object.entries(buildSetShards(catalog))) {
+    const file = shardFileName(setId);
+    files.add(file);
+    writeJson(`${SETS_DIR}/${file}`, shard, { compact: true });
+  }
+  for (const f of fs.readdirSync(SETS_DIR)) {
+    if (f.endsWith(".json") && !files.has(f)) fs.unlinkSync(`${SETS_DIR}/${f}`);
+  }
+  console.log(`Catalog shards: ${files.size} sets, index ${catalog.cards.length} cards`);
 }
 
-function parseEbaySearchItems(html) {
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".s-item").each((_, el) => {
-    const title = $(el).find(".s-item__title").text().trim();
-    const priceText = $(el).find(".s-item__price").text().trim();
-    const link = $(el).find(".s-item__link").attr("href");
-
-    if (!title || title === "Shop on eBay") return;
-    const price = parseEurPrice(priceText);
-    if (!link || price == null) return;
-
-    items.push({ title, price_eur: price, url: link });
-  });
-  return items;
+/* -------------------------------------------------------
+   Storico per set (data/history/<setId>.json, vedi lib/shards.js)
+   - prices_history.json resta l'archivio completo della pipeline (movers), compatto
+   - card.html scarica solo il file del suo set: non cresce con tutto il catalogo
+-------------------------------------------------------- */
+function writeHistoryShards(history, cards) {
+  if (!fs.existsSync(HISTORY_DIR)) fs.mkdirSync(HISTORY_DIR);
+  const files = new Set();
+  for (const [setId, shard] of Object.entries(buildHistoryShards(history, cards))) {
+    const file = shardFileName(setId);
+    files.add(file);
+    writeJson(`${HISTORY_DIR}/${file}`, shard, { compact: true });
+  }
+  for (const f of fs.readdirSync(HISTORY_DIR)) {
+    if (f.endsWith(".json") && !files.has(f)) fs.unlinkSync(`${HISTORY_DIR}/${f}`);
+  }
+  console.log(`History shards: ${files.size} sets`);
 }
 
 /* -------------------------------------------------------
@@ -1220,117 +1338,204 @@ async function main() {
     }
   }
 
+  if (addThumbnails(catalog)) writeJson(catalogFile, catalog);
+
+  // A2) indice di ricerca + un file per set (il sito non scarica più catalog.json intero)
+  writeCatalogShards(catalog);
+
   // B) storico vendite rolling 30 giorni
   const salesFile = `${DATA_DIR}/sales_30d.json`;
   const salesObj = readJson(salesFile, { sales: [] });
 
   const cutoff = Date.now() - DAYS * 24 * 3600 * 1000;
-  const kept = (salesObj.sales || []).filter(s => new Date(s.collectedAt).getTime() >= cutoff);
+  const overrides = compileOverrides(readJson(OVERRIDES_FILE, {}));
+
+  // override riapplicati a ogni run: le correzioni valgono anche per le vendite già salvate
+  const kept = applyOverridesToSales(
+    (salesObj.sales || []).filter(s => saleTime(s) >= cutoff),
+    overrides
+  );
 
   // C) raccolta vendite: query mirate (eBay sold è rumoroso)
   const collectedAt = todayISO();
 
-  const gradedQueries = [
-    `"GRAAD" pokemon -psa -bgs -bsg -cgc`,
-    `"GRAAD" sv2a -psa -bgs -bsg -cgc`,
-    `"GRAAD" sv9a -psa -bgs -bsg -cgc`,
-    `"GRAAD" jap -psa -bgs -bsg -cgc`
-  ];
-
-  const rawQueries = [
-    `pokemon sv2a 181/165 -psa -bgs -bsg -cgc -graad -graded`,
-    `pokemon meloetta 022/021 -psa -bgs -bsg -cgc -graad -graded`
-  ];
+  const queryPlan = { ...DEFAULT_QUERY_PLAN, ...readJson(QUERIES_FILE, {}) };
+  const queries = buildQueryPlan(queryPlan, catalog, kept);
+  const sources = getSources(queryPlan.sources);
+  const compareGraders = new Set((queryPlan.compare?.graders || []).map(norm));
+  console.log(`Query plan: ${queries.length} queries (${queries.filter(q => q.gradedOnly).length} graded) x ${sources.length} sources`);
 
-  const queries = [
-    ...gradedQueries.map(q => ({ keyword: q, gradedOnly: true })),
-    ...rawQueries.map(q => ({ keyword: q, gradedOnly: false }))
-  ];
+  // cambi: tabella della data di vendita se nota, altrimenti del giorno di raccolta
+  const fx = makeToEur(loadFxRates(readJson(FX_FILE, {})), collectedAt);
+  if (!fx.date) console.warn("fx_rates.json vuoto: accetto solo prezzi in EUR");
 
-  const PAGES_PER_QUERY = 2;
+  // indice catalogo una volta sola (numero/set/pokemonKey/token nome)
+  const catalogIndex = buildCatalogIndex(catalog);
 
   const newSales = [];
-  for (const q of queries) {
-    for (let page = 1; page <= PAGES_PER_QUERY; page++) {
-      let html;
-      try {
-        html = await fetchEbaySoldPageHTML({
-          keyword: q.keyword,
-          page,
-          categoryId: EBAY_CATEGORY_ID,
-          gradedOnly: q.gradedOnly
-        });
-      } catch (e) {
-        console.error("eBay fetch error:", q.keyword, e.message);
-        continue;
-      }
-
-      const items = parseEbaySearchItems(html);
-
-      for (const it of items) {
-        if (isLikelyLot(it.title)) continue;
-
-        const bucket = detectGraadBucket(it.title);
-        const graded = bucket && bucket.startsWith("graad_");
-        const priceBucket = graded ? bucket : "raw";
-
-        // Se la query è “gradedOnly”, ma il titolo non contiene graad, skip:
-        if (q.gradedOnly && !graded) continue;
-
-        const match = bestMatchCard(catalog, it.title);
-        if (!match.card || match.confidence < 0.72) continue;
+  const unmatched = [];
+  let pageFetches = 0;
+  for (const source of sources) {
+    for (const q of queries) {
+      for (let page = 1; page <= q.pages; page++) {
+        // fonti x query x pagine: throttle come negli altri loop, per non farsi bloccare dai siti eBay
+        if (pageFetches++) await sleep(pageFetches % 10 === 0 ? 1500 : 300);
+
+        let html;
+        try {
+          html = await fetchSoldPageHTML(source, {
+            keyword: q.keyword,
+            page,
+            gradedOnly: q.gradedOnly
+          });
+        } catch (e) {
+          console.error(`${source.id} fetch error:`, q.keyword, e.message);
+          continue;
+        }
 
-        newSales.push({
-          collectedAt,
-          source: "ebay.it",
-          title: it.title,
-          url: it.url,
-          price_eur: it.price_eur,
-          cardId: match.card.id,
-          bucket: priceBucket
-        });
+        const items = source.parseItems(html, { toEur: fx.toEur });
+
+        for (const it of items) {
+          // data di vendita: nel futuro = parsing sbagliato; fuori finestra = non ci interessa
+          if (it.soldAt && it.soldAt > dayISO(collectedAt)) it.soldAt = null;
+          if (it.soldAt && saleTime(it) < cutoff) continue;
+
+          const ov = findOverride(overrides, it);
+          if (ov?.action === "block") continue;
+
+          // titolo parsato una volta sola: bucket, match e cert leggono da qui
+          const parsed = parseListingTitle(it.title);
+          if (ov?.action === "force") {
+            newSales.push({
+              collectedAt,
+              source: source.id,
+              title: it.title,
+              url: it.url,
+              itemId: it.itemId,
+              seller: it.seller,
+              soldAt: it.soldAt,
+              price_eur: it.price_eur,
+              price_original: it.price_original,
+              currency: it.currency,
+              cardId: ov.cardId,
+              bucket: ov.bucket,
+              cert: ov.bucket.startsWith("graad_") ? extractGraadCert(parsed) : null,
+              override: true
+            });
+            continue;
+          }
+
+          // bucket per voto: graad_* sempre, psa_*/cgc_*/bgs_* solo se richiesti in compare
+          const bucket = detectGradeBucket(parsed);
+          const grader = bucket ? parsed.grader.value : null;
+          if (grader && grader !== "graad" && !compareGraders.has(grader)) continue;
+          const priceBucket = bucket || "raw";
+
+          // Se la query è “gradedOnly”, ma il titolo non è del grader cercato, skip:
+          if (q.gradedOnly && grader !== q.grader) continue;
+
+          // lotti: bestMatchCard li rifiuta con reason "lot"
+          const match = bestMatchCard(catalogIndex, parsed);
+          if (!match.card || match.confidence < MIN_MATCH_CONFIDENCE) {
+            unmatched.push({
+              seenAt: collectedAt,
+              source: source.id,
+              query: q.keyword,
+              title: it.title,
+              url: it.url,
+              itemId: it.itemId,
+              seller: it.seller,
+              soldAt: it.soldAt,
+              price_eur: it.price_eur,
+              price_original: it.price_original,
+              currency: it.currency,
+              bucket: priceBucket,
+              reason: match.card ? (match.ambiguous ? "ambiguous" : "low_confidence") : match.reason,
+              confidence: match.confidence,
+              candidates: (match.candidates || []).map(c => ({ cardId: c.card.id, score: c.score, reasons: c.reasons }))
+            });
+            continue;
+          }
+
+          newSales.push({
+            collectedAt,
+            source: source.id,
+            title: it.title,
+            url: it.url,
+            itemId: it.itemId,
+            seller: it.seller,
+            soldAt: it.soldAt,
+            price_eur: it.price_eur,
+            price_original: it.price_original,
+            currency: it.currency,
+            cardId: match.card.id,
+            bucket: priceBucket,
+            cert: grader === "graad" ? extractGraadCert(parsed) : null
+          });
+        }
       }
     }
   }
 
   const matchedCount = newSales.length;
-  console.log(`Sales collected: matched=${matchedCount} kept_before_dedup=${kept.length}`);
-
-  // dedup su (url + price + cardId + bucket)
-  const seen = new Set(kept.map(s => `${s.url}|${s.price_eur}|${s.cardId}|${s.bucket}`));
-  for (const s of newSales) {
-    const k = `${s.url}|${s.price_eur}|${s.cardId}|${s.bucket}`;
-    if (!seen.has(k)) {
-      seen.add(k);
-      kept.push(s);
-    }
+  console.log(`Sales collected: matched=${matchedCount} unmatched=${unmatched.length} kept_before_dedup=${kept.length}`);
+
+  // override anche sulle non abbinate salvate: un annuncio uscito dalle prime pagine si corregge lo stesso
+  const unmatchedOut = mergeUnmatched(readJson(UNMATCHED_FILE, { items: [] }), unmatched, cutoff, collectedAt);
+  const fromUnmatched = applyOverridesToUnmatched(unmatchedOut.items, overrides);
+  for (const s of fromUnmatched.forced) {
+    if (saleTime(s) < cutoff) continue;
+    const cert = s.bucket.startsWith("graad_") ? extractGraadCert(parseListingTitle(s.title)) : null;
+    newSales.push({ ...s, cert });
   }
+  const blockedUnmatched = unmatchedOut.items.length - fromUnmatched.items.length - fromUnmatched.forced.length;
+  console.log(`Unmatched overrides: forced=${fromUnmatched.forced.length} blocked=${blockedUnmatched}`);
+
+  writeJson(UNMATCHED_FILE, { ...unmatchedOut, items: fromUnmatched.items });
 
-  writeJson(salesFile, { sales: kept });
+  // dedup su id oggetto eBay (anche retroattivo sulle vendite già salvate) + relist
+  const merged = dedupSales([...kept, ...newSales]);
+  const relists = flagRelists(merged);
+  console.log(`Sales after dedup: ${merged.length} (removed=${kept.length + newSales.length - merged.length} likelyRelist=${relists})`);
 
-  // D) mediane 30 giorni per carta/bucket
+  writeJson(salesFile, { sales: merged });
+  writeJson(SLABS_FILE, updateSlabHistory(readJson(SLABS_FILE, { byCert: {} }), merged));
+
+  // D) mediane 30 giorni per carta/bucket (con filtro outlier, vedi OUTLIER_METHOD)
+  // le vendite marcate come relist non contano: la slab è venduta una volta sola
   const byCard = {};
-  for (const s of kept) {
-    byCard[s.cardId] ??= {
-      raw: [],
-      graad_7: [],
-      graad_8: [],
-      graad_9: [],
-      graad_9_5: [],
-      graad_10: []
-    };
-    if (byCard[s.cardId][s.bucket]) byCard[s.cardId][s.bucket].push(s.price_eur);
+  for (const s of merged) {
+    if (s.likelyRelist) continue;
+    // senza voto leggibile (graad_unknown, psa_unknown, ...) non c'è una mediana sensata
+    if (!s.bucket || s.bucket.endsWith("_unknown")) continue;
+    byCard[s.cardId] ??= {};
+    (byCard[s.cardId][s.bucket] ??= []).push(s);
   }
 
   const priceOut = { byCard: {} };
   for (const [cardId, buckets] of Object.entries(byCard)) {
     priceOut.byCard[cardId] = {};
-    for (const [bucket, arr] of Object.entries(buckets)) {
-      priceOut.byCard[cardId][bucket] = { median_eur: median(arr), n: arr.length };
+    for (const [bucket, list] of Object.entries(buckets)) {
+      priceOut.byCard[cardId][bucket] = {
+        ...summarizePrices(list.map(s => s.price_eur)),
+        by_source: summarizeBySource(list)
+      };
     }
   }
 
   writeJson(`${DATA_DIR}/prices.json`, priceOut);
+
+  // premium GRAAD su RAW per carta, set e rarità (pagina premiums.html)
+  writeJson(PREMIUMS_FILE, computePremiums(priceOut, catalog.cards));
+
+  // E) snapshot giornaliero nello storico
+  const history = appendPriceHistory(readJson(HISTORY_FILE, { byCard: {} }), priceOut, dayISO(collectedAt));
+  writeJson(HISTORY_FILE, history, { compact: true });
+  writeHistoryShards(history, catalog.cards);
+
+  // variazioni 7/30 giorni precalcolate (pagina movers.html)
+  writeJson(MOVERS_FILE, computeMovers(history, dayISO(collectedAt), catalog.cards));
+
   writeJson(`${DATA_DIR}/meta.json`, { updatedAt: collectedAt });
 }
 
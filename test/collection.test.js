@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CSV_COLUMNS, makeItem, mergeItems, parsePrice, toCSV, fromCSV } from "../assets/collection.js";
+
+const item = (over) => makeItem({
+  key: "k1",
+  cardId: "sv2a-201-charizard-ja",
+  name: "Charizard ex",
+  setId: "sv2a",
+  number: "201/165",
+  bucket: "graad_10",
+  qty: 1,
+  purchase_eur: 1200,
+  addedAt: "2026-10-15",
+  ...over
+});
+
+test("toCSV/fromCSV: andata e ritorno con virgolette, virgole e a capo", () => {
+  const items = [
+    item({ name: 'Charizard "ex", JP' }),
+    item({ key: "k2", name: "riga\nnuova", bucket: "raw", qty: 3, purchase_eur: null })
+  ];
+  const csv = toCSV(items);
+  assert.equal(csv.split("\n")[0], CSV_COLUMNS.join(","));
+
+  const back = fromCSV(csv);
+  assert.equal(back.skipped, 0);
+  assert.deepEqual(back.items, items);
+});
+
+test("fromCSV: separatore ; (Excel in italiano), BOM e CRLF", () => {
+  const { items, skipped } = fromCSV("\uFEFFcardId;bucket;qty;purchase_eur\r\nx;raw;3;12,50\r\ny;graad_9_5;1;\r\n");
+  assert.equal(skipped, 0);
+  assert.deepEqual(items.map(x => [x.cardId, x.bucket, x.qty, x.purchase_eur]), [
+    ["x", "raw", 3, 12.5],
+    ["y", "graad_9_5", 1, null]
+  ]);
+  assert.ok(items.every(x => x.key));
+});
+
+test("fromCSV: righe senza cardId/bucket/qty o con prezzo illeggibile sono saltate", () => {
+  const { items, skipped } = fromCSV("cardId;bucket;qty;purchase_eur\n;raw;1;\nz;;1;\nz;raw;0;\nz;raw;1;boh\nz;raw;1;5\n");
+  assert.equal(items.length, 1);
+  assert.equal(skipped, 4);
+});
+
+test("parsePrice: decimali con virgola e separatore delle migliaia", () => {
+  assert.equal(parsePrice("12,50"), 12.5);
+  assert.equal(parsePrice("12.5"), 12.5);
+  assert.equal(parsePrice("1.234,50"), 1234.5);
+  assert.equal(parsePrice("1,234.50"), 1234.5);
+  assert.equal(parsePrice("1.234"), 1234);
+  assert.equal(parsePrice("€ 80"), 80);
+  assert.ok(Number.isNaN(parsePrice("boh")));
+  assert.ok(Number.isNaN(parsePrice("-5")));
+
+  const { items } = fromCSV("cardId;bucket;qty;purchase_eur\nz;raw;1;1.234,50");
+  assert.equal(items[0].purchase_eur, 1234.5);
+});
+
+test("mergeItems: reimportare il proprio export non duplica", () => {
+  const mine = [item(), item({ key: "k2", bucket: "raw" })];
+  const { items } = fromCSV(toCSV(mine));
+  const merged = mergeItems(mine, [...items, item({ key: "k3" })]);
+  assert.deepEqual(merged.items.map(x => x.key), ["k1", "k2", "k3"]);
+  assert.equal(merged.added, 1);
+  assert.equal(merged.duplicates, 2);
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  parseAmount,
+  parsePrice,
+  parseEurPrice,
+  parseSeller,
+  parseSoldDate,
+  canonicalListingUrl,
+  extractEbayItemId,
+  parseEbaySearchItems
+} from "../scripts/lib/ebay.js";
+
+const html = fs.readFileSync(new URL("./fixtures/ebay_sold_it.html", import.meta.url), "utf8");
+
+test("parseEurPrice: importo seguito da EUR/€ (come il parser originale in update.js)", () => {
+  assert.equal(parseEurPrice("45,90 EUR"), 45.9);
+  assert.equal(parseEurPrice("12 €"), 12);
+  assert.equal(parseEurPrice("1.250,00 EUR"), 1250);
+});
+
+// cambio di comportamento rispetto a update.js: il parser originale voleva la valuta dopo
+// l'importo e su "EUR 80,00" (formato più comune su eBay.it) ritornava null, scartando la vendita
+test("parseEurPrice: EUR/€ prima dell'importo", () => {
+  assert.equal(parseEurPrice("EUR 80,00"), 80);
+  assert.equal(parseEurPrice("€ 7,5"), 7.5);
+  assert.equal(parseEurPrice("EUR 1.250,00"), 1250);
+});
+
+test("parseEurPrice: separatore migliaia e range", () => {
+  assert.equal(parseEurPrice("1 250,00 EUR"), 1250);
+  assert.equal(parseEurPrice("1\u202f250,00 EUR"), 1250);
+  // range "Da X a Y": prende il primo importo
+  assert.equal(parseEurPrice("Da 30,00 EUR a 35,00 EUR"), 30);
+});
+
+test("parseAmount: separatori decimali e migliaia", () => {
+  assert.equal(parseAmount("1.250,00"), 1250);
+  assert.equal(parseAmount("1,250.00"), 1250);
+  assert.equal(parseAmount("1.250"), 1250);
+  assert.equal(parseAmount("12.5"), 12.5);
+  assert.equal(parseAmount("1’250.00"), 1250);
+});
+
+test("parsePrice: valute diverse, simbolo prima o dopo", () => {
+  assert.deepEqual(parsePrice("£12.50"), { amount: 12.5, currency: "GBP" });
+  assert.deepEqual(parsePrice("US $1,234.56"), { amount: 1234.56, currency: "USD" });
+  assert.deepEqual(parsePrice("AU $20.00"), { amount: 20, currency: "AUD" });
+  assert.deepEqual(parsePrice("12,50 CHF"), { amount: 12.5, currency: "CHF" });
+  assert.deepEqual(parsePrice("EUR 80,00"), { amount: 80, currency: "EUR" });
+  assert.equal(parsePrice("Prezzo non disponibile"), null);
+});
+
+test("parseEurPrice: niente valuta EUR -> null", () => {
+  assert.equal(parseEurPrice("£12.50"), null);
+  assert.equal(parseEurPrice("Prezzo non disponibile"), null);
+  assert.equal(parseEurPrice(""), null);
+  assert.equal(parseEurPrice(null), null);
+});
+
+test("parseEbaySearchItems: salta placeholder e item senza prezzo", () => {
+  const items = parseEbaySearchItems(html);
+  const titles = items.map(x => x.title);
+
+  assert.ok(!titles.includes("Shop on eBay"));
+  assert.ok(!titles.some(t => t.startsWith("Snorlax")));
+  assert.equal(items.length, 4);
+});
+
+test("parseEbaySearchItems: titolo, prezzo e link", () => {
+  const [first] = parseEbaySearchItems(html);
+
+  assert.equal(first.title, "Charizard ex 201/165 sv2a SAR GRAAD 10 Pokemon Card 151 JAP");
+  assert.equal(first.price_eur, 1250);
+  assert.match(first.url, /^https:\/\/www\.ebay\.it\/itm\/296512345678/);
+  assert.equal(first.seller, "carte_da_collezione_it");
+  assert.equal(first.soldAt, "2026-10-12");
+  assert.equal(first.itemId, "296512345678");
+});
+
+test("parseSoldDate: formati dei siti eBay EU", () => {
+  assert.equal(parseSoldDate("Venduto il 12 ott 2026"), "2026-10-12");
+  assert.equal(parseSoldDate("Verkauft 1. Mär 2026"), "2026-03-01");
+  assert.equal(parseSoldDate("Vendu le 5 févr. 2026"), "2026-02-05");
+  assert.equal(parseSoldDate("Vendido el 3 sept 2026"), "2026-09-03");
+  assert.equal(parseSoldDate("Sold Oct 12, 2026"), "2026-10-12");
+});
+
+test("parseSoldDate: date impossibili o assenti -> null", () => {
+  assert.equal(parseSoldDate("Venduto il 31 feb 2026"), null);
+  assert.equal(parseSoldDate("Venduto"), null);
+  assert.equal(parseSoldDate(""), null);
+});
+
+test("parseEbaySearchItems: toEur converte e conserva importo/valuta originali", () => {
+  const gbp = `<ul><li class="s-item">
+    <a class="s-item__link" href="https://www.ebay.co.uk/itm/1"><div class="s-item__title">Mew ex GRAAD 10</div></a>
+    <span class="s-item__price">£100.00</span>
+  </li></ul>`;
+
+  // default: solo EUR
+  assert.deepEqual(parseEbaySearchItems(gbp), []);
+
+  const [it] = parseEbaySearchItems(gbp, { toEur: (amount, cur) => (cur === "GBP" ? amount / 0.8 : null) });
+  assert.equal(it.soldAt, null);
+  assert.equal(it.price_eur, 125);
+  assert.equal(it.price_original, 100);
+  assert.equal(it.currency, "GBP");
+});
+
+test("extractEbayItemId: varianti di link eBay", () => {
+  assert.equal(extractEbayItemId("https://www.ebay.it/itm/296512345678?hash=item450a1b2c3d"), "296512345678");
+  assert.equal(extractEbayItemId("https://www.ebay.de/itm/charizard-graad-10/296512345678"), "296512345678");
+  assert.equal(extractEbayItemId("https://cgi.ebay.fr/ws/eBayISAPI.dll?ViewItem&item=296512345678"), "296512345678");
+  assert.equal(extractEbayItemId("https://ebay.com/itm/123456"), null);
+});
+
+test("parseSeller / canonicalListingUrl", () => {
+  assert.equal(parseSeller("PromoHunter (87) 100%"), "promohunter");
+  assert.equal(parseSeller(""), null);
+  assert.equal(
+    canonicalListingUrl("https://www.ebay.it/itm/296512345678?hash=item450a1b2c3d:g:abc&amdata=enc"),
+    "https://www.ebay.it/itm/296512345678"
+  );
+});
+
+test("parseEbaySearchItems: HTML vuoto o markup diverso -> []", () => {
+  assert.deepEqual(parseEbaySearchItems(""), []);
+  assert.deepEqual(parseEbaySearchItems("<ul><li class=\"x\">niente</li></ul>"), []);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { euro, escapeHtml, parseBucket, bucketLabel, bucketOrder } from "../assets/format.js";
+
+test("bucketLabel: raw, mezzi voti, altri grader e voto sconosciuto", () => {
+  assert.equal(bucketLabel("raw"), "RAW");
+  assert.equal(bucketLabel("graad_10"), "GRAAD 10");
+  assert.equal(bucketLabel("graad_9_5"), "GRAAD 9.5");
+  assert.equal(bucketLabel("psa_10"), "PSA 10");
+  assert.equal(bucketLabel("cgc_8_5"), "CGC 8.5");
+  assert.equal(bucketLabel("psa_unknown"), "PSA (voto?)");
+  assert.equal(bucketLabel("strano"), "strano");
+});
+
+test("parseBucket: voto numerico o null", () => {
+  assert.deepEqual(parseBucket("graad_9_5"), { grader: "graad", grade: 9.5 });
+  assert.deepEqual(parseBucket("graad_unknown"), { grader: "graad", grade: null });
+  assert.deepEqual(parseBucket("raw"), { grader: null, grade: null });
+});
+
+test("bucketOrder: RAW, GRAAD per voto decrescente, poi gli altri grader", () => {
+  const keys = ["psa_10", "graad_9", "graad_unknown", "raw", "graad_10", "cgc_9_5", "graad_9_5", "psa_unknown"];
+  assert.deepEqual([...keys].sort(bucketOrder), [
+    "raw", "graad_10", "graad_9_5", "graad_9", "graad_unknown", "cgc_9_5", "psa_10", "psa_unknown"
+  ]);
+});
+
+test("euro ed escapeHtml", () => {
+  assert.equal(euro(null), "—");
+  assert.equal(euro(NaN), "—");
+  assert.match(euro(12500.5), /^12\.500,50\s€$/);
+  assert.match(euro(12500.5, { whole: true }), /^12\.501\s€$/);
+  assert.equal(escapeHtml('<a href="x">&</a>'), "&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;");
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadFxRates, ratesForDate, makeToEur } from "../scripts/lib/fx.js";
+
+const table = loadFxRates({
+  base: "EUR",
+  rates: {
+    "2026-10-01": { USD: 1.2, GBP: 0.8 },
+    "2026-09-01": { USD: 1.1, GBP: 0.85 }
+  }
+});
+
+test("loadFxRates: tabelle ordinate per data", () => {
+  assert.deepEqual(table.map(t => t.date), ["2026-09-01", "2026-10-01"]);
+});
+
+test("ratesForDate: ultima tabella <= data, altrimenti la più vecchia", () => {
+  assert.equal(ratesForDate(table, "2026-09-20T10:00:00Z").date, "2026-09-01");
+  assert.equal(ratesForDate(table, "2026-10-19").date, "2026-10-01");
+  assert.equal(ratesForDate(table, "2025-01-01").date, "2026-09-01");
+  assert.equal(ratesForDate([], "2026-10-19"), null);
+});
+
+test("makeToEur: conversione con arrotondamento, EUR invariato, valuta ignota -> null", () => {
+  const { toEur, date } = makeToEur(table, "2026-10-19");
+  assert.equal(date, "2026-10-01");
+  assert.equal(toEur(120, "USD"), 100);
+  assert.equal(toEur(10, "GBP"), 12.5);
+  assert.equal(toEur(42, "EUR"), 42);
+  assert.equal(toEur(42, "XYZ"), null);
+});
+
+test("makeToEur: la data passata (es. soldAt) sceglie la tabella", () => {
+  const { toEur } = makeToEur(table, "2026-10-19");
+  assert.equal(toEur(110, "USD", "2026-09-15"), 100);
+});
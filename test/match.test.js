@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  isLikelyLot,
+  detectGraadBucket,
+  detectGradeBucket,
+  gradeBucket,
+  parseBucket,
+  extractSetCode,
+  extractLocalId,
+  extractGraadCert,
+  buildCatalogIndex,
+  rankCandidates,
+  bestMatchCard
+} from "../scripts/lib/match.js";
+
+const catalog = JSON.parse(fs.readFileSync(new URL("./fixtures/catalog.json", import.meta.url), "utf8"));
+
+test("detectGraadBucket: voti interi e mezzi punti", () => {
+  assert.equal(detectGraadBucket("Charizard ex 201/165 GRAAD 10 JAP"), "graad_10");
+  assert.equal(detectGraadBucket("Pikachu SVP123 GRAAD 9,5"), "graad_9_5");
+  assert.equal(detectGraadBucket("Pikachu SVP123 graad 9.5"), "graad_9_5");
+  assert.equal(detectGraadBucket("Mew ex GRAAD9 sv2a"), "graad_9");
+  assert.equal(detectGraadBucket("Snorlax GRAAD 7"), "graad_7");
+});
+
+test("detectGraadBucket: senza voto o senza GRAAD", () => {
+  assert.equal(detectGraadBucket("Charizard ex GRAAD gem mint"), "graad_unknown");
+  assert.equal(detectGraadBucket("Charizard ex 201/165 PSA 10"), null);
+  assert.equal(detectGraadBucket(""), null);
+});
+
+test("detectGraadBucket: scala completa, sotto il 7 e mezzi punti", () => {
+  assert.equal(detectGraadBucket("Charizard ex GRAAD 8,5"), "graad_8_5");
+  assert.equal(detectGraadBucket("Charizard ex GRAAD 6"), "graad_6");
+  assert.equal(detectGraadBucket("Charizard ex GRAAD 4.5"), "graad_4_5");
+  // intermedi: al mezzo punto inferiore
+  assert.equal(detectGraadBucket("Charizard ex GRAAD 9.2"), "graad_9");
+  assert.equal(detectGraadBucket("Charizard ex GRAAD 8.7"), "graad_8_5");
+});
+
+test("detectGradeBucket: PSA/CGC/BGS in bucket separati", () => {
+  assert.equal(detectGradeBucket("Charizard ex 201/165 PSA 10"), "psa_10");
+  assert.equal(detectGradeBucket("Charizard ex CGC 9.5"), "cgc_9_5");
+  assert.equal(detectGradeBucket("Charizard ex BGS"), "bgs_unknown");
+  assert.equal(detectGradeBucket("Charizard ex GRAAD 10"), "graad_10");
+  assert.equal(detectGradeBucket("Charizard ex 201/165"), null);
+});
+
+test("gradeBucket / parseBucket: andata e ritorno", () => {
+  assert.equal(gradeBucket("psa", 8.5), "psa_8_5");
+  assert.equal(gradeBucket("graad", 11), "graad_unknown");
+  assert.deepEqual(parseBucket("graad_9_5"), { grader: "graad", grade: 9.5 });
+  assert.deepEqual(parseBucket("psa_10"), { grader: "psa", grade: 10 });
+  assert.deepEqual(parseBucket("graad_unknown"), { grader: "graad", grade: null });
+  assert.deepEqual(parseBucket("raw"), { grader: null, grade: null });
+});
+
+test("extractLocalId: numero/totale, promo e fallback", () => {
+  assert.equal(extractLocalId("Charizard ex 201/165 sv2a"), "201");
+  assert.equal(extractLocalId("Mew ex 181 / 165"), "181");
+  assert.equal(extractLocalId("Pikachu SVP123 Promo GRAAD 9,5"), "SVP123");
+  assert.equal(extractLocalId("Snorlax #181 GRAAD 9"), "181");
+});
+
+test("extractLocalId: non scambia il voto GRAAD per il numero carta", () => {
+  assert.equal(extractLocalId("Charizard ex GRAAD 10"), null);
+  assert.equal(extractLocalId("Charizard ex GRAAD 9,5"), null);
+});
+
+test("extractSetCode: codici sv", () => {
+  assert.equal(extractSetCode("Charizard ex 201/165 sv2a GRAAD 10"), "sv2a");
+  assert.equal(extractSetCode("Snorlax SV9A 181/165"), "sv9a");
+  assert.equal(extractSetCode("Pikachu promo GRAAD 10"), null);
+});
+
+test("isLikelyLot: lotti, bundle e quantità", () => {
+  assert.equal(isLikelyLot("Lot Pokemon GRAAD 9"), true);
+  assert.equal(isLikelyLot("Lotto 10 carte Pokemon GRAAD 8"), true);
+  assert.equal(isLikelyLot("Pokemon bundle sv2a"), true);
+  assert.equal(isLikelyLot("Seleziona la tua carta sv2a"), true);
+  assert.equal(isLikelyLot("Charizard ex 201/165 sv2a GRAAD 10"), false);
+});
+
+test("bestMatchCard: match strict con set + numero + nome", () => {
+  const r = bestMatchCard(catalog, "Charizard ex 201/165 sv2a SAR GRAAD 10 Pokemon Card 151 JAP");
+  assert.equal(r.card?.id, "sv2a-201-charizard-ja");
+  assert.equal(r.mode, "strict");
+  assert.ok(r.confidence >= 0.86);
+});
+
+test("bestMatchCard: promo SVP", () => {
+  const r = bestMatchCard(catalog, "Pikachu SVP123 Promo GRAAD 9,5 inglese");
+  assert.equal(r.card?.id, "svp-123-pikachu-en");
+});
+
+test("bestMatchCard: stesso numero in set diversi, decide la lingua", () => {
+  const ja = bestMatchCard(catalog, "Mew ex 181/165 sv2a GRAAD 9 giapponese");
+  assert.equal(ja.card?.id, "sv2a-181-mew-ja");
+
+  const snorlax = bestMatchCard(catalog, "Snorlax sv9a 181/165 GRAAD 9 JAP");
+  assert.equal(snorlax.card?.id, "sv9a-181-snorlax-ja");
+});
+
+test("bestMatchCard: senza numero usa solo il nome (confidenza limitata)", () => {
+  const r = bestMatchCard(catalog, "Charizard ex sv2a GRAAD 10");
+  assert.equal(r.card?.id, "sv2a-201-charizard-ja");
+  assert.equal(r.mode, "name_only");
+  assert.ok(r.confidence <= 0.82);
+});
+
+test("bestMatchCard: lotti e titoli senza match", () => {
+  assert.equal(bestMatchCard(catalog, "Lotto 10 carte Pokemon GRAAD 8").card, null);
+  assert.equal(bestMatchCard(catalog, "Bulbasaur 001/165 GRAAD 10").card, null);
+});
+
+test("buildCatalogIndex: numero (senza zeri iniziali), set, pokemonKey, token nome", () => {
+  const idx = buildCatalogIndex(catalog);
+
+  assert.deepEqual(idx.byNumber.get("181").map(c => c.id).sort(), ["sv2a-181-mew-ja", "sv9a-181-snorlax-ja"]);
+  assert.equal(idx.bySet.get("sv2a").length, 2);
+  assert.equal(idx.byPokemonKey.get("mew").length, 2);
+  assert.ok(idx.byToken.get("charizard").some(c => c.id === "sv2a-201-charizard-ja"));
+  assert.equal(idx.byToken.get("ex"), undefined);
+});
+
+test("rankCandidates: top-N con score e motivazioni", () => {
+  const { candidates } = rankCandidates(catalog, "Charizard ex 201/165 GRAAD 10 JAP");
+  assert.equal(candidates[0].card.id, "sv2a-201-charizard-ja");
+  assert.deepEqual(candidates[0].reasons, ["number", "name", "lang", "total"]);
+  assert.ok(candidates[0].score > 0.8);
+});
+
+test("bestMatchCard: solo specie nel titolo (senza 'ex') trova comunque la carta", () => {
+  const r = bestMatchCard(catalog, "Charizard 201/165 sv2a GRAAD 10");
+  assert.equal(r.card?.id, "sv2a-201-charizard-ja");
+  assert.ok(r.candidates[0].reasons.includes("pokemon_key"));
+  assert.ok(r.confidence >= 0.72);
+});
+
+test("bestMatchCard: stampe diverse a pari merito -> ambiguo, confidenza sotto soglia", () => {
+  const ambiguousCatalog = {
+    cards: [
+      ...catalog.cards,
+      { ...catalog.cards[2], id: "sv3pt5-151-mew-ex-ja", cardKey: "sv3pt5|151|ja", lang: "ja" }
+    ]
+  };
+  const r = bestMatchCard(ambiguousCatalog, "Mew ex 151 GRAAD 9");
+  assert.equal(r.ambiguous, true);
+  assert.equal(r.candidates.length, 2);
+  assert.ok(r.confidence < 0.72);
+});
+
+test("bestMatchCard: accetta l'indice già costruito", () => {
+  const idx = buildCatalogIndex(catalog);
+  const r = bestMatchCard(idx, "Snorlax sv9a 181/165 GRAAD 9 JAP");
+  assert.equal(r.card?.id, "sv9a-181-snorlax-ja");
+  assert.equal(r.mode, "strict");
+});
+
+test("bestMatchCard: motivo dello scarto quando non trova la carta", () => {
+  assert.equal(bestMatchCard(catalog, "Lotto 10 carte Pokemon GRAAD 8").reason, "lot");
+  assert.equal(bestMatchCard(catalog, "Bulbasaur 001/165 GRAAD 10").reason, "no_name_hit");
+  assert.equal(bestMatchCard(catalog, "Bulbasaur GRAAD 10").reason, "no_local_id");
+  assert.equal(bestMatchCard(catalog, "Charizard ex 201/165 GRAAD 10").reason, undefined);
+});
+
+test("extractGraadCert: con parola chiave, # o cifre isolate nei titoli GRAAD", () => {
+  assert.equal(extractGraadCert("Charizard ex 201/165 GRAAD 10 cert 12345678"), "12345678");
+  assert.equal(extractGraadCert("Mew GRAAD 9 certificato n. 1234567"), "1234567");
+  assert.equal(extractGraadCert("Pikachu SVP123 GRAAD 9,5 #20251234"), "20251234");
+  assert.equal(extractGraadCert("Snorlax 181/165 GRAAD 9 JAP 30012345"), "30012345");
+});
+
+test("extractGraadCert: niente certificato", () => {
+  assert.equal(extractGraadCert("Snorlax 181/165 GRAAD 9 JAP"), null);
+  assert.equal(extractGraadCert("Pokemon 2023 GRAAD 10"), null);
+  assert.equal(extractGraadCert("Charizard PSA 10 12345678"), null);
+});
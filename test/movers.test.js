@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeMovers } from "../scripts/lib/movers.js";
+
+const cards = [
+  { id: "a", name: "Charizard ex", setId: "sv2a", numberFull: "201/165" },
+  { id: "b", name: "Mew ex", setId: "sv2a", numberFull: "181/165" },
+  { id: "c", name: "Snorlax", setId: "sv9a" }
+];
+
+const pt = (date, median_eur, n = 5) => ({ date, median_eur, n });
+
+const history = {
+  byCard: {
+    a: {
+      graad_10: [pt("2026-09-19", 200), pt("2026-10-01", 250), pt("2026-10-12", 300), pt("2026-10-19", 360)]
+    },
+    b: {
+      graad_10: [pt("2026-10-10", 100), pt("2026-10-12", 100), pt("2026-10-19", 80)],
+      // poche vendite: fuori dai movers
+      raw: [pt("2026-10-12", 20, 1), pt("2026-10-19", 30, 1)]
+    },
+    c: {
+      graad_10: [pt("2026-10-16", 60, 2), pt("2026-10-19", 70, 2)],
+      // non scambiata oggi
+      graad_9: [pt("2026-10-01", 40), pt("2026-10-12", 45)]
+    }
+  }
+};
+
+test("computeMovers: rialzi e ribassi a 7 giorni", () => {
+  const r = computeMovers(history, "2026-10-19", cards);
+  const m = r.windows[7].graad_10;
+  assert.deepEqual(m.gainers.map(x => x.cardId), ["a"]);
+  assert.equal(m.gainers[0].change_pct, 20);
+  assert.equal(m.gainers[0].prev_date, "2026-10-12");
+  assert.equal(m.gainers[0].name, "Charizard ex");
+  assert.deepEqual(m.losers.map(x => x.cardId), ["b"]);
+  assert.equal(m.losers[0].change_eur, -20);
+  assert.equal(r.windows[7].raw, undefined);
+  assert.equal(r.windows[7].graad_9, undefined);
+});
+
+test("computeMovers: a 30 giorni serve un punto abbastanza vecchio", () => {
+  const r = computeMovers(history, "2026-10-19", cards);
+  assert.deepEqual(r.windows[30].graad_10.gainers.map(x => x.cardId), ["a"]);
+  assert.equal(r.windows[30].graad_10.gainers[0].change_pct, 80);
+  assert.deepEqual(r.windows[30].graad_10.losers, []);
+});
+
+test("computeMovers: nuove carte e soglia vendite", () => {
+  const r = computeMovers(history, "2026-10-19", cards);
+  assert.deepEqual(r.newlyTraded.graad_10.map(x => x.cardId), ["c"]);
+  assert.equal(r.newlyTraded.graad_10[0].firstSeen, "2026-10-16");
+
+  const loose = computeMovers(history, "2026-10-19", cards, { minSales: 1 });
+  assert.deepEqual(loose.windows[7].raw.gainers.map(x => x.cardId), ["b"]);
+});
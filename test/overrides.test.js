@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { compileOverrides, findOverride, applyOverridesToSales, applyOverridesToUnmatched } from "../scripts/lib/overrides.js";
+
+const overrides = compileOverrides({
+  force: [
+    { url: "https://www.ebay.it/itm/296512345678", cardId: "sv2a-201-charizard-ja", bucket: "graad_10" },
+    { titlePattern: "meloetta.*022/021", cardId: "mbd-022-meloetta-ja", bucket: "raw" },
+    { titlePattern: "(", cardId: "x", bucket: "raw" },
+    { titlePattern: "senza carta", bucket: "raw" }
+  ],
+  block: {
+    urls: ["https://www.ebay.it/itm/334455667788?hash=item4dea"],
+    sellers: ["Fake_Slabs"]
+  }
+});
+
+test("compileOverrides: scarta regole incomplete o regex non valide", () => {
+  assert.equal(overrides.force.length, 2);
+});
+
+test("findOverride: url forzato anche con parametri di tracking", () => {
+  const r = findOverride(overrides, {
+    url: "https://www.ebay.it/itm/296512345678?hash=item450a1b2c3d:g:abc&amdata=enc",
+    title: "Charizard qualcosa"
+  });
+  assert.deepEqual(r, { action: "force", cardId: "sv2a-201-charizard-ja", bucket: "graad_10" });
+});
+
+test("findOverride: pattern sul titolo (case-insensitive)", () => {
+  const r = findOverride(overrides, { url: "https://www.ebay.it/itm/1", title: "MELOETTA promo 022/021 jap" });
+  assert.equal(r?.cardId, "mbd-022-meloetta-ja");
+});
+
+test("findOverride: blocco per url e venditore", () => {
+  assert.deepEqual(
+    findOverride(overrides, { url: "https://www.ebay.it/itm/334455667788", title: "x" }),
+    { action: "block", reason: "url" }
+  );
+  assert.deepEqual(
+    findOverride(overrides, { url: "https://www.ebay.it/itm/2", title: "x", seller: "fake_slabs" }),
+    { action: "block", reason: "seller" }
+  );
+  assert.equal(findOverride(overrides, { url: "https://www.ebay.it/itm/3", title: "x", seller: "altro" }), null);
+});
+
+test("applyOverridesToSales: corregge e rimuove le vendite già salvate", () => {
+  const sales = [
+    { url: "https://www.ebay.it/itm/296512345678", title: "Charizard", cardId: "sbagliata", bucket: "raw", price_eur: 900 },
+    { url: "https://www.ebay.it/itm/334455667788", title: "Lotto", cardId: "y", bucket: "raw", price_eur: 2 },
+    { url: "https://www.ebay.it/itm/9", title: "Snorlax", cardId: "z", bucket: "graad_9", price_eur: 40 }
+  ];
+  const out = applyOverridesToSales(sales, overrides);
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].cardId, "sv2a-201-charizard-ja");
+  assert.equal(out[0].bucket, "graad_10");
+  assert.equal(out[0].override, true);
+  assert.equal(out[1].cardId, "z");
+});
+
+test("applyOverridesToUnmatched: le forzate diventano vendite, le bloccate spariscono", () => {
+  const items = [
+    {
+      source: "ebay.de", title: "Glurak ex 201 PSA", url: "https://www.ebay.it/itm/296512345678?amdata=enc",
+      itemId: "296512345678", seller: "x", soldAt: "2026-10-12", price_eur: 1100,
+      bucket: "raw", reason: "low_confidence", firstSeenAt: "2026-10-12T02:15:00Z", lastSeenAt: "2026-10-14T02:15:00Z", hits: 3
+    },
+    { source: "ebay.it", title: "Lotto", url: "https://www.ebay.it/itm/334455667788", price_eur: 2, lastSeenAt: "2026-10-14T02:15:00Z" },
+    { source: "ebay.it", title: "Snorlax boh", url: "https://www.ebay.it/itm/9", price_eur: 40, lastSeenAt: "2026-10-14T02:15:00Z" }
+  ];
+  const { items: rest, forced } = applyOverridesToUnmatched(items, overrides);
+
+  assert.deepEqual(rest.map(x => x.title), ["Snorlax boh"]);
+  assert.equal(forced.length, 1);
+  assert.equal(forced[0].cardId, "sv2a-201-charizard-ja");
+  assert.equal(forced[0].bucket, "graad_10");
+  assert.equal(forced[0].soldAt, "2026-10-12");
+  assert.equal(forced[0].collectedAt, "2026-10-14T02:15:00Z");
+  assert.equal(forced[0].source, "ebay.de");
+  assert.equal(forced[0].override, true);
+  assert.equal(forced[0].reason, undefined);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { premiumConfidence, cardPremiums, computePremiums } from "../scripts/lib/premium.js";
+
+const cards = [
+  { id: "a", name: "Charizard ex", setId: "sv2a", rarity: "SAR" },
+  { id: "b", name: "Mew ex", setId: "sv2a", rarity: "SAR" },
+  { id: "c", name: "Snorlax", setId: "sv9a", rarity: "AR" }
+];
+
+const prices = {
+  byCard: {
+    a: {
+      raw: { median_eur: 100, n: 10 },
+      graad_10: { median_eur: 300, n: 10 },
+      graad_9: { median_eur: 150, n: 1 },
+      psa_10: { median_eur: 400, n: 3 }
+    },
+    b: {
+      raw: { median_eur: 50, n: 4 },
+      graad_10: { median_eur: 100, n: 2 }
+    },
+    c: {
+      graad_10: { median_eur: 80, n: 5 }
+    }
+  }
+};
+
+test("premiumConfidence: cresce con il campione più piccolo", () => {
+  assert.equal(premiumConfidence(0, 10), 0);
+  assert.equal(premiumConfidence(10, 2), 0.45);
+  assert.equal(premiumConfidence(10, 10), 1);
+  assert.equal(premiumConfidence(50, 40), 1);
+  assert.ok(premiumConfidence(5, 5) > premiumConfidence(2, 2));
+});
+
+test("cardPremiums: moltiplicatore e premium solo per i voti GRAAD", () => {
+  const r = cardPremiums(prices.byCard.a);
+  assert.deepEqual(Object.keys(r).sort(), ["graad_10", "graad_9"]);
+  assert.equal(r.graad_10.multiplier, 3);
+  assert.equal(r.graad_10.premium_eur, 200);
+  assert.equal(r.graad_10.confidence, 1);
+  assert.equal(r.graad_9.confidence, 0.32);
+
+  // senza RAW non c'è riferimento
+  assert.deepEqual(cardPremiums(prices.byCard.c), {});
+});
+
+test("computePremiums: ranking, set e rarità", () => {
+  const r = computePremiums(prices, cards);
+  assert.deepEqual(r.ranking.map(x => `${x.cardId}:${x.bucket}`), ["a:graad_10", "b:graad_10", "a:graad_9"]);
+  assert.equal(r.ranking[0].name, "Charizard ex");
+
+  // graad_9 di "a" ha 1 sola vendita: fuori dagli aggregati
+  assert.deepEqual(Object.keys(r.bySet.sv2a), ["graad_10"]);
+  assert.equal(r.bySet.sv2a.graad_10.cards, 2);
+  assert.equal(r.bySet.sv2a.graad_10.median_multiplier, 2.5);
+  assert.equal(r.byRarity.SAR.graad_10.median_premium_eur, 125);
+  assert.equal(r.bySet.sv9a, undefined);
+});
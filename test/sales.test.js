@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { saleKey, dedupSales, flagRelists, updateSlabHistory } from "../scripts/lib/sales.js";
+
+const sale = (over) => ({
+  collectedAt: "2026-10-15T02:15:00Z",
+  source: "ebay.it",
+  title: "Charizard ex 201/165 sv2a GRAAD 10 JAP",
+  url: "https://www.ebay.it/itm/296512345678",
+  seller: "carte_da_collezione_it",
+  price_eur: 1250,
+  cardId: "sv2a-201-charizard-ja",
+  bucket: "graad_10",
+  ...over
+});
+
+test("saleKey: id oggetto eBay, uguale tra siti e con tracking", () => {
+  assert.equal(saleKey(sale()), "ebay:296512345678");
+  assert.equal(saleKey(sale({ source: "ebay.de", url: "https://www.ebay.de/itm/296512345678?hash=item45" })), "ebay:296512345678");
+  assert.equal(saleKey(sale({ url: "https://www.ebay.it/itm/charizard-ex-graad-10/296512345678?_trkparms=x" })), "ebay:296512345678");
+});
+
+test("saleKey: senza id usa url pulito + prezzo", () => {
+  assert.equal(saleKey(sale({ url: "https://www.ebay.it/sch/strano?x=1" })), "ebay.it:https://www.ebay.it/sch/strano|1250");
+});
+
+test("dedupSales: pulizia retroattiva, prima occorrenza vince e completa i campi mancanti", () => {
+  const out = dedupSales([
+    sale({ url: "https://www.ebay.it/itm/296512345678?hash=a", soldAt: null }),
+    sale({ url: "https://www.ebay.it/itm/296512345678?hash=b", soldAt: "2026-10-12", collectedAt: "2026-10-16T02:15:00Z" }),
+    sale({ url: "https://www.ebay.it/itm/187654321098", price_eur: 45.9 })
+  ]);
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].itemId, "296512345678");
+  assert.equal(out[0].url, "https://www.ebay.it/itm/296512345678?hash=a");
+  assert.equal(out[0].soldAt, "2026-10-12");
+  assert.equal(out[0].collectedAt, "2026-10-15T02:15:00Z");
+});
+
+test("flagRelists: stesso titolo + venditore entro la finestra", () => {
+  const sales = [
+    sale({ itemId: "111111111111", soldAt: "2026-10-01" }),
+    sale({ itemId: "222222222222", soldAt: "2026-10-04" }),
+    sale({ itemId: "333333333333", soldAt: "2026-10-20" }),
+    sale({ itemId: "444444444444", soldAt: "2026-10-02", seller: "altro" })
+  ];
+  const flagged = flagRelists(sales);
+
+  assert.equal(flagged, 1);
+  assert.equal(sales[0].likelyRelist, true);
+  assert.equal(sales[0].relistOf, "ebay:222222222222");
+  assert.equal(sales[1].likelyRelist, undefined);
+  assert.equal(sales[2].likelyRelist, undefined);
+  assert.equal(sales[3].likelyRelist, undefined);
+});
+
+test("flagRelists: senza venditore non si decide", () => {
+  const sales = [
+    sale({ itemId: "111111111111", seller: null, soldAt: "2026-10-01" }),
+    sale({ itemId: "222222222222", seller: null, soldAt: "2026-10-02" })
+  ];
+  assert.equal(flagRelists(sales), 0);
+});
+
+test("flagRelists: raw uguali dallo stesso venditore sono copie diverse", () => {
+  const sales = [
+    sale({ itemId: "111111111111", bucket: "raw", title: "Pikachu 025/165 sv2a JAP", soldAt: "2026-10-01" }),
+    sale({ itemId: "222222222222", bucket: "raw", title: "Pikachu 025/165 sv2a JAP", soldAt: "2026-10-02" })
+  ];
+  assert.equal(flagRelists(sales), 0);
+  assert.ok(sales.every(s => !s.likelyRelist));
+});
+
+test("dedupSales: stesso certificato, giorno e prezzo su siti diversi = una vendita", () => {
+  const out = dedupSales([
+    sale({ cert: "12345678", soldAt: "2026-10-12" }),
+    sale({ cert: "12345678", soldAt: "2026-10-12", source: "ebay.de", url: "https://www.ebay.de/itm/999999999999" })
+  ]);
+  assert.equal(out.length, 1);
+});
+
+test("flagRelists: stesso certificato entro la finestra anche con venditore diverso", () => {
+  const sales = [
+    sale({ itemId: "111111111111", cert: "12345678", seller: "a", soldAt: "2026-10-01" }),
+    sale({ itemId: "222222222222", cert: "12345678", seller: "b", title: "altro titolo", soldAt: "2026-10-03" })
+  ];
+  assert.equal(flagRelists(sales), 1);
+  assert.equal(sales[0].relistOf, "ebay:222222222222");
+});
+
+test("updateSlabHistory: accumula per certificato senza duplicare", () => {
+  const sales = [
+    sale({ itemId: "111111111111", cert: "12345678", soldAt: "2026-10-10", price_eur: 1300 }),
+    sale({ itemId: "222222222222", cert: "12345678", soldAt: "2026-09-01", price_eur: 1100 }),
+    sale({ itemId: "333333333333" })
+  ];
+  let slabs = updateSlabHistory({ byCert: {} }, sales);
+  slabs = updateSlabHistory(slabs, sales);
+
+  assert.deepEqual(Object.keys(slabs.byCert), ["12345678"]);
+  assert.deepEqual(slabs.byCert["12345678"].map(x => [x.date, x.price_eur]), [["2026-09-01", 1100], ["2026-10-10", 1300]]);
+});
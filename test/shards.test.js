@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { addThumbnails, buildHistoryShards, buildSearchIndex, buildSetShards, shardFileName, thumbnailFor } from "../scripts/lib/shards.js";
+
+const catalog = JSON.parse(fs.readFileSync(new URL("./fixtures/catalog.json", import.meta.url), "utf8"));
+
+test("buildSearchIndex: solo i campi di ricerca, set a parte", () => {
+  const idx = buildSearchIndex(catalog);
+  assert.equal(idx.cards.length, catalog.cards.length);
+
+  const charizard = idx.cards.find(c => c.id === "sv2a-201-charizard-ja");
+  assert.equal(charizard.nameEn, "Charizard ex");
+  assert.equal(charizard.numberFull, "201/165");
+  assert.equal(charizard.imageLarge, undefined);
+  assert.equal(charizard.imageSmall, "https://assets.tcgdex.net/ja/sv/sv2a/201/low.webp");
+  assert.equal(charizard.setName, undefined);
+  // nameJa uguale a name: non ripetuto
+  assert.equal(charizard.nameJa, undefined);
+
+  assert.deepEqual(idx.sets.sv2a, { name: "Pokémon Card 151", count: 2 });
+});
+
+test("buildSetShards: carte complete raggruppate per set", () => {
+  const shards = buildSetShards(catalog);
+  assert.deepEqual(Object.keys(shards).sort(), ["sv2a", "sv3pt5", "sv9a", "svp"]);
+  assert.equal(shards.sv2a.cards.length, 2);
+  assert.equal(shards.sv2a.setName, "Pokémon Card 151");
+  assert.ok(shards.sv2a.cards[0].imageLarge);
+});
+
+test("buildHistoryShards: storico diviso per set, carte fuori catalogo escluse", () => {
+  const history = {
+    updatedAt: "2026-10-15",
+    byCard: {
+      "sv2a-201-charizard-ja": { graad_10: [{ date: "2026-10-15", median_eur: 1250, n: 3 }] },
+      "sparita-1-x-ja": { raw: [{ date: "2026-10-15", median_eur: 1, n: 1 }] }
+    }
+  };
+  const shards = buildHistoryShards(history, catalog.cards);
+  assert.deepEqual(Object.keys(shards), ["sv2a"]);
+  assert.equal(shards.sv2a.updatedAt, "2026-10-15");
+  assert.deepEqual(shards.sv2a.byCard["sv2a-201-charizard-ja"], history.byCard["sv2a-201-charizard-ja"]);
+});
+
+test("thumbnailFor: TCGdex high -> low, Limitless _LG/_XL -> _SM, altri host niente", () => {
+  assert.equal(thumbnailFor("https://assets.tcgdex.net/ja/sv/sv2a/201/high.webp"), "https://assets.tcgdex.net/ja/sv/sv2a/201/low.webp");
+  assert.equal(thumbnailFor("https://assets.tcgdex.net/en/sv/sv3pt5/6/high.png"), "https://assets.tcgdex.net/en/sv/sv3pt5/6/low.png");
+  assert.equal(
+    thumbnailFor("https://limitlesstcg.nyc3.cdn.digitaloceanspaces.com/tpc/SV2a/SV2a_201_R_JP_LG.png"),
+    "https://limitlesstcg.nyc3.cdn.digitaloceanspaces.com/tpc/SV2a/SV2a_201_R_JP_SM.png"
+  );
+  assert.equal(
+    thumbnailFor("https://limitlesstcg.nyc3.cdn.digitaloceanspaces.com/tpc/SV9a/SV9a_63_SAR_JP_XL.webp"),
+    "https://limitlesstcg.nyc3.cdn.digitaloceanspaces.com/tpc/SV9a/SV9a_63_SAR_JP_SM.webp"
+  );
+  assert.equal(thumbnailFor("https://example.com/charizard.png"), "");
+  assert.equal(thumbnailFor("https://limitlesstcg.nyc3.cdn.digitaloceanspaces.com/tpc/SV2a/strano.png"), "");
+  assert.equal(thumbnailFor(""), "");
+});
+
+test("addThumbnails: completa imageSmall e conta solo le carte cambiate", () => {
+  const cat = {
+    cards: [
+      { id: "a", imageLarge: "https://assets.tcgdex.net/ja/sv/sv2a/1/high.webp" },
+      { id: "b", imageLarge: "https://assets.tcgdex.net/ja/sv/sv2a/2/high.webp", imageSmall: "https://assets.tcgdex.net/ja/sv/sv2a/2/low.webp" },
+      { id: "c", imageLarge: "https://example.com/c.png", imageSmall: "https://example.com/c.png" }
+    ]
+  };
+  assert.equal(addThumbnails(cat), 2);
+  assert.equal(cat.cards[0].imageSmall, "https://assets.tcgdex.net/ja/sv/sv2a/1/low.webp");
+  assert.equal(cat.cards[2].imageSmall, "");
+  assert.equal(addThumbnails(cat), 0);
+});
+
+test("shardFileName: nomi file sicuri", () => {
+  assert.equal(shardFileName("sv2a"), "sv2a.json");
+  assert.equal(shardFileName("swsh12.5"), "swsh12.5.json");
+  assert.equal(shardFileName("a/b c"), "a_b_c.json");
+  assert.equal(shardFileName(""), "_.json");
+});
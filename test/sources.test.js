@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { SOURCES, getSources, makeEbayAdapter } from "../scripts/lib/sources.js";
+
+const html = fs.readFileSync(new URL("./fixtures/ebay_sold_it.html", import.meta.url), "utf8");
+
+test("adapter eBay EU: url ricerca venduti per sito", () => {
+  const url = new URL(SOURCES["ebay.de"].buildSearchUrl({ keyword: "\"GRAAD\" pokemon", page: 2, gradedOnly: true }));
+
+  assert.equal(url.host, "www.ebay.de");
+  assert.equal(url.searchParams.get("_nkw"), "\"GRAAD\" pokemon");
+  assert.equal(url.searchParams.get("LH_Sold"), "1");
+  assert.equal(url.searchParams.get("_pgn"), "2");
+  assert.equal(url.searchParams.get("LH_ItemCondition"), "2750");
+});
+
+test("adapter eBay EU: raw senza filtro condizione", () => {
+  const url = new URL(SOURCES["ebay.fr"].buildSearchUrl({ keyword: "pokemon sv2a" }));
+  assert.equal(url.searchParams.get("LH_ItemCondition"), null);
+  assert.equal(url.searchParams.get("_pgn"), "1");
+});
+
+test("adapter: parseItems usa il parsePrice dell'adapter", () => {
+  const fixed = makeEbayAdapter({ id: "test", host: "example.test", parsePrice: () => ({ amount: 1, currency: "EUR" }) });
+  const items = fixed.parseItems(html);
+  assert.ok(items.length > 0);
+  assert.ok(items.every(x => x.price_eur === 1));
+});
+
+test("getSources: default ebay.it, id sconosciuti ignorati", () => {
+  assert.deepEqual(getSources().map(s => s.id), ["ebay.it"]);
+  assert.deepEqual(getSources(["ebay.es", "ebay.xx"]).map(s => s.id), ["ebay.es"]);
+});
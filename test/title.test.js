@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseListingTitle } from "../scripts/lib/title.js";
+
+test("parseListingTitle: titolo GRAAD completo", () => {
+  const p = parseListingTitle("Charizard ex 201/165 sv2a SAR GRAAD 10 Pokemon Card 151 JAP");
+  assert.equal(p.grader.value, "graad");
+  assert.equal(p.grade.value, 10);
+  assert.equal(p.setCode.value, "sv2a");
+  assert.equal(p.number.value, "201");
+  assert.equal(p.printedTotal.value, "165");
+  assert.equal(p.lang.value, "ja");
+  assert.equal(p.lang.from, "title");
+  assert.deepEqual(p.variants.value, ["sar"]);
+  assert.equal(p.lot.value, false);
+  assert.deepEqual(p.nameTokens.value, ["charizard", "ex"]);
+  assert.ok(p.number.confidence > 0.9);
+});
+
+test("parseListingTitle: campi assenti hanno confidenza 0", () => {
+  const p = parseListingTitle("Charizard ex");
+  assert.equal(p.grader.value, null);
+  assert.equal(p.grader.confidence, 0);
+  assert.equal(p.setCode.confidence, 0);
+  assert.equal(p.number.confidence, 0);
+  assert.equal(p.cert.value, null);
+});
+
+test("parseListingTitle: lingua dedotta dal set è meno sicura di quella scritta", () => {
+  const inferred = parseListingTitle("Mew ex 181/165 sv2a");
+  assert.equal(inferred.lang.value, "ja");
+  assert.equal(inferred.lang.from, "set_code");
+
+  const explicit = parseListingTitle("Mew ex 181/165 sv2a giapponese");
+  assert.ok(explicit.lang.confidence > inferred.lang.confidence);
+});
+
+test("parseListingTitle: 'mew' non è un codice set", () => {
+  assert.equal(parseListingTitle("Mew ex 181/165 GRAAD 9").setCode.value, null);
+  assert.equal(parseListingTitle("Mewtwo promo mbd").setCode.value, "mbd");
+});
+
+test("parseListingTitle: PSA/BGS riconosciuti, il voto non diventa il numero carta", () => {
+  const psa = parseListingTitle("Charizard ex PSA10 sv2a");
+  assert.equal(psa.grader.value, "psa");
+  assert.equal(psa.grade.value, 10);
+  assert.equal(psa.number.value, null);
+
+  const bgs = parseListingTitle("Pikachu SVP123 Beckett 9.5");
+  assert.equal(bgs.grader.value, "bgs");
+  assert.equal(bgs.grade.value, 9.5);
+  assert.equal(bgs.number.value, "SVP123");
+});
+
+test("parseListingTitle: GRAAD ha la precedenza se il titolo cita più grader", () => {
+  const p = parseListingTitle("Mew ex come PSA 10 - GRAAD 9");
+  assert.equal(p.grader.value, "graad");
+  assert.equal(p.grade.value, 9);
+  assert.ok(p.grader.confidence < 0.95);
+});
+
+test("parseListingTitle: varianti, lotti e certificato", () => {
+  const v = parseListingTitle("Pikachu Reverse Holo prima edizione promo");
+  assert.deepEqual(v.variants.value, ["1st_edition", "reverse", "holo", "promo"]);
+  assert.equal(v.nameTokens.value[0], "pikachu");
+
+  assert.equal(parseListingTitle("Lotto 10 carte Pokemon GRAAD 8").lot.value, true);
+
+  const c = parseListingTitle("Charizard ex 201/165 GRAAD 10 cert 12345678");
+  assert.equal(c.cert.value, "12345678");
+  assert.ok(c.cert.confidence >= 0.9);
+});